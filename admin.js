@@ -0,0 +1,325 @@
+// Time Mission: Magma Mayhem - Leaderboard admin page
+// Drives /api/admin on the server that serves this page (see server/admin.js)
+
+// ============================================
+// ADMIN API
+// ============================================
+const ADMIN_TOKEN_KEY = 'magmaMayhem.adminToken';
+const ENTRIES_PAGE_SIZE = 50;
+const AUDIT_LIMIT = 100;
+
+// Kept for the browser session only, so a shared machine forgets it when closed
+let adminToken = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+
+// Resolves to { body, total } - total from X-Total-Count, where there is one.
+// Throws with the server's error message; a rejected token signs out.
+async function adminRequest(method, path, body = undefined) {
+    const response = await fetch(`api/admin${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${adminToken}`,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        signOut();
+        throw new Error('That admin token was not accepted');
+    }
+    if (!response.ok) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    return { body: result, total: Number(response.headers.get('X-Total-Count')) };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+// Quotes too - names end up in data- attributes as well as in text
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function showMessage(text, isError = false) {
+    const message = document.getElementById('message');
+    message.textContent = text;
+    message.className = !text ? 'hidden' : isError ? 'error' : '';
+}
+
+// Run an action, report how it went, then reload the dashboard.
+// successText can be a function of what the action resolved to.
+async function runAction(action, successText) {
+    try {
+        const result = await action();
+        showMessage(typeof successText === 'function' ? successText(result) : successText);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+    refreshDashboard();
+}
+
+// ============================================
+// ENTRIES
+// ============================================
+const entryView = { search: '', status: 'all', offset: 0, total: 0 };
+
+function entryStatus(entry) {
+    if (entry.held) return `<span class="status held" title="${escapeHtml(entry.reason || '')}">Held</span>`;
+    if (entry.hidden) return '<span class="status hidden-entry">Hidden</span>';
+    return '<span class="status visible">On the boards</span>';
+}
+
+function entryActions(entry) {
+    return [
+        entry.held ? '<button type="button" data-action="approve">Approve</button>' : '',
+        entry.hidden
+            ? '<button type="button" data-action="unhide">Unhide</button>'
+            : '<button type="button" data-action="hide">Hide</button>',
+        '<button type="button" data-action="rename">Rename</button>',
+        '<button type="button" data-action="ban-name">Ban name</button>',
+        entry.ip ? '<button type="button" data-action="ban-ip">Ban IP</button>' : '',
+        '<button type="button" data-action="delete" class="danger">Delete</button>'
+    ].join('');
+}
+
+function renderEntries(entries) {
+    const tbody = document.getElementById('entries');
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="empty">No entries</td></tr>';
+    } else {
+        tbody.innerHTML = entries.map(entry => `
+            <tr data-id="${entry.id}" data-name="${escapeHtml(entry.name)}" data-ip="${escapeHtml(entry.ip || '')}">
+                <td>${entry.id}</td>
+                <td>${escapeHtml(entry.name)}${entry.verified ? ' <span title="Verified by replay">✓</span>' : ''}</td>
+                <td>${entry.score}</td>
+                <td>${entry.level}${entry.won ? ' 🏆' : ''}</td>
+                <td>${formatTime(entry.created_at)}</td>
+                <td>${escapeHtml(entry.ip || '-')}</td>
+                <td>${entryStatus(entry)}</td>
+                <td class="actions">${entryActions(entry)}</td>
+            </tr>
+        `).join('');
+    }
+
+    const first = entryView.total === 0 ? 0 : entryView.offset + 1;
+    const last = Math.min(entryView.offset + ENTRIES_PAGE_SIZE, entryView.total);
+    document.getElementById('entries-page').textContent = `${first}-${last} of ${entryView.total}`;
+    document.getElementById('entries-prev-btn').disabled = entryView.offset === 0;
+    document.getElementById('entries-next-btn').disabled = last >= entryView.total;
+}
+
+async function loadEntries() {
+    const params = new URLSearchParams({
+        search: entryView.search,
+        status: entryView.status,
+        limit: ENTRIES_PAGE_SIZE,
+        offset: entryView.offset
+    });
+    const { body, total } = await adminRequest('GET', `/entries?${params}`);
+    entryView.total = total;
+    renderEntries(body);
+}
+
+// What each button in an entry row does
+const ENTRY_ACTIONS = {
+    hide: ({ id }) => runAction(() => adminRequest('POST', `/entries/${id}/hide`), `Entry #${id} hidden`),
+    unhide: ({ id }) => runAction(() => adminRequest('POST', `/entries/${id}/unhide`), `Entry #${id} is back on the boards`),
+    approve: ({ id }) => runAction(() => adminRequest('POST', `/entries/${id}/approve`), `Entry #${id} approved`),
+
+    rename({ id, name }) {
+        const newName = prompt(`Rename entry #${id}`, name);
+        if (newName === null || newName.trim() === name) return;
+        runAction(() => adminRequest('PATCH', `/entries/${id}`, { name: newName }), `Entry #${id} renamed`);
+    },
+
+    delete({ id, name }) {
+        if (!confirm(`Delete entry #${id} (${name}) for good?`)) return;
+        runAction(() => adminRequest('DELETE', `/entries/${id}`), `Entry #${id} deleted`);
+    },
+
+    'ban-name': ({ name }) => fillBanForm('name', name),
+    'ban-ip': ({ ip }) => fillBanForm('ip', ip)
+};
+
+// ============================================
+// BANS
+// ============================================
+function renderBans(bans) {
+    const tbody = document.getElementById('bans');
+    if (bans.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty">No bans</td></tr>';
+        return;
+    }
+    tbody.innerHTML = bans.map(ban => `
+        <tr data-id="${ban.id}">
+            <td>${ban.kind === 'ip' ? 'IP' : 'Name'}</td>
+            <td>${escapeHtml(ban.value)}</td>
+            <td>${escapeHtml(ban.reason || '')}</td>
+            <td>${formatTime(ban.created_at)}</td>
+            <td>${ban.expires_at ? formatTime(ban.expires_at) : 'Forever'}</td>
+            <td class="actions"><button type="button" data-action="unban">Lift</button></td>
+        </tr>
+    `).join('');
+}
+
+async function loadBans() {
+    renderBans((await adminRequest('GET', '/bans')).body);
+}
+
+// Banning from an entry row fills the form in, so there's a chance to add a reason
+function fillBanForm(kind, value) {
+    document.getElementById('ban-kind-select').value = kind;
+    document.getElementById('ban-value-input').value = value;
+    document.getElementById('ban-reason-input').focus();
+    document.getElementById('ban-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function submitBan() {
+    const kind = document.getElementById('ban-kind-select').value;
+    const value = document.getElementById('ban-value-input').value;
+    const minutes = document.getElementById('ban-minutes-input').value;
+    const reason = document.getElementById('ban-reason-input').value.trim();
+
+    runAction(async () => {
+        await adminRequest('POST', '/bans', {
+            kind,
+            value,
+            minutes: minutes ? Number(minutes) : null,
+            reason: reason || null
+        });
+        document.getElementById('ban-form').reset();
+    }, `Banned ${kind === 'ip' ? 'IP' : 'name'} ${value}`);
+}
+
+// ============================================
+// RESET AND AUDIT LOG
+// ============================================
+function submitReset() {
+    const select = document.getElementById('reset-window-select');
+    const label = select.options[select.selectedIndex].text.toLowerCase();
+    if (!confirm(`Hide every entry from ${label}? They can be unhidden one at a time.`)) return;
+
+    runAction(
+        () => adminRequest('POST', '/reset', { window: select.value }),
+        ({ body }) => `Hid ${body.hidden} entr${body.hidden === 1 ? 'y' : 'ies'} from ${label}`
+    );
+}
+
+// One line per action, e.g. "entry.hide #12 Bob (40) - 10.0.0.1"
+function describeAuditRecord({ at, action, ip, ...details }) {
+    const parts = [];
+    if (details.entry) parts.push(`#${details.entry.id} ${details.entry.name} (${details.entry.score})`);
+    if (details.name) parts.push(`→ ${details.name}`);
+    if (details.ban) parts.push(details.ban.kind ? `${details.ban.kind} ${details.ban.value}` : `#${details.ban.id}`);
+    if (details.window) parts.push(`${details.window}: ${details.hidden} hidden`);
+    return `
+        <li>
+            <time>${formatTime(at)}</time>
+            <strong>${escapeHtml(action)}</strong>
+            ${escapeHtml(parts.join(' '))}
+            <span class="audit-ip">${escapeHtml(ip || '')}</span>
+        </li>
+    `;
+}
+
+async function loadAudit() {
+    const records = (await adminRequest('GET', `/audit?limit=${AUDIT_LIMIT}`)).body;
+    document.getElementById('audit').innerHTML = records.length > 0
+        ? records.map(describeAuditRecord).join('')
+        : '<li class="empty">Nothing yet</li>';
+}
+
+// ============================================
+// SIGN IN AND SETUP
+// ============================================
+async function refreshDashboard() {
+    try {
+        await Promise.all([loadEntries(), loadBans(), loadAudit()]);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+function showDashboard(signedIn) {
+    document.getElementById('sign-in-form').classList.toggle('hidden', signedIn);
+    document.getElementById('dashboard').classList.toggle('hidden', !signedIn);
+    document.getElementById('sign-out-btn').classList.toggle('hidden', !signedIn);
+}
+
+function signOut() {
+    adminToken = null;
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    showDashboard(false);
+}
+
+function initAdmin() {
+    document.getElementById('sign-in-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('admin-token-input');
+        adminToken = input.value;
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, adminToken);
+        input.value = '';
+        showMessage('');
+        showDashboard(true);
+        refreshDashboard();
+    });
+    document.getElementById('sign-out-btn').addEventListener('click', signOut);
+
+    document.getElementById('entry-search-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        entryView.search = document.getElementById('entry-search-input').value.trim();
+        entryView.status = document.getElementById('entry-status-select').value;
+        entryView.offset = 0;
+        refreshDashboard();
+    });
+    document.getElementById('entries-prev-btn').addEventListener('click', () => {
+        entryView.offset = Math.max(0, entryView.offset - ENTRIES_PAGE_SIZE);
+        refreshDashboard();
+    });
+    document.getElementById('entries-next-btn').addEventListener('click', () => {
+        entryView.offset += ENTRIES_PAGE_SIZE;
+        refreshDashboard();
+    });
+
+    // Row buttons, delegated so they survive re-rendering
+    document.getElementById('entries').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const row = button.closest('tr');
+        ENTRY_ACTIONS[button.dataset.action]({
+            id: Number(row.dataset.id),
+            name: row.dataset.name,
+            ip: row.dataset.ip
+        });
+    });
+    document.getElementById('bans').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="unban"]');
+        if (!button) return;
+        const id = Number(button.closest('tr').dataset.id);
+        runAction(() => adminRequest('DELETE', `/bans/${id}`), 'Ban lifted');
+    });
+
+    document.getElementById('ban-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitBan();
+    });
+    document.getElementById('reset-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitReset();
+    });
+
+    if (adminToken) {
+        showDashboard(true);
+        refreshDashboard();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initAdmin);
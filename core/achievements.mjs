@@ -0,0 +1,87 @@
+import { CONFIG } from './config.mjs';
+import { getGracePeriod } from './run.mjs';
+
+// ============================================
+// ACHIEVEMENTS
+// ============================================
+// Badges earned from what happens in runs. Progress is plain data that outlives
+// a run - the browser keeps it in localStorage, the server per player from
+// verified replays - and the host feeds it every event drainEvents() returns.
+const HOPS_GOAL = 500;
+// Full Cast only asks for the characters everyone starts with
+const STARTING_CHARACTERS = Object.keys(CONFIG.CHARACTERS).filter(id => !CONFIG.CHARACTERS[id].unlockedBy);
+
+// The long-haul badges also have progress(progress): [how far along, goal]
+export const ACHIEVEMENTS = [
+    { id: 'mission_complete', icon: '🏁', name: 'Mission Complete', description: 'Clear every sector' },
+    { id: 'untouchable', icon: '🛡️', name: 'Untouchable', description: 'Clear a sector without taking a hit' },
+    { id: 'flawless', icon: '💎', name: 'Flawless Mission', description: 'Clear every sector without losing a life' },
+    {
+        id: 'steady_pulse',
+        icon: '💓',
+        name: 'Steady Pulse',
+        description: 'Clear Heartbeat before its score starts dropping'
+    },
+    {
+        id: 'marathon',
+        icon: '🦘',
+        name: 'Hop Marathon',
+        description: `Hop ${HOPS_GOAL} times`,
+        progress: ({ hops }) => [Math.min(hops, HOPS_GOAL), HOPS_GOAL]
+    },
+    {
+        id: 'full_cast',
+        icon: '🎭',
+        name: 'Full Cast',
+        description: 'Play a run as every starting character',
+        progress: ({ characters }) => [STARTING_CHARACTERS.filter(id => characters.includes(id)).length, STARTING_CHARACTERS.length]
+    }
+];
+
+// hops and characters count towards the long-haul badges; unlocked maps an
+// achievement id to when it was earned
+export function createAchievementProgress() {
+    return { hops: 0, characters: [], unlocked: {} };
+}
+
+// The ids an event earns, whether or not they're unlocked already
+function earnedBy(progress, run, event) {
+    switch (event.type) {
+        case 'sector_start':
+            return event.level === 1 && STARTING_CHARACTERS.every(character => progress.characters.includes(character))
+                ? ['full_cast'] : [];
+        case 'hop':
+            return progress.hops >= HOPS_GOAL ? ['marathon'] : [];
+        case 'sector_clear': {
+            const earned = [];
+            if (run.breakdown[event.level - 1].hits === 0) earned.push('untouchable');
+            if (event.level === run.sectors.length) earned.push('mission_complete');
+            if (event.level === run.sectors.length && run.breakdown.every(stats => stats.hits === 0)) earned.push('flawless');
+            // A sector can name a badge for clearing it at full marks (Heartbeat's is Steady Pulse)
+            const { graceAchievement } = run.sectors[event.level - 1];
+            if (graceAchievement && event.time <= getGracePeriod(run.character, run.mode)) earned.push(graceAchievement);
+            return earned;
+        }
+        default:
+            return [];
+    }
+}
+
+// Count the event towards progress and unlock whatever it earned. Returns the ids
+// unlocked just now (most events unlock nothing). at is when, as an ISO string.
+export function trackAchievementEvent(progress, run, event, at = new Date().toISOString()) {
+    if (event.type === 'hop') progress.hops++;
+    if (event.type === 'sector_start' && event.level === 1 && !progress.characters.includes(run.character)) {
+        progress.characters.push(run.character);
+    }
+
+    const unlocked = earnedBy(progress, run, event).filter(id => !progress.unlocked[id]);
+    unlocked.forEach(id => { progress.unlocked[id] = at; });
+    return unlocked;
+}
+
+// Characters with unlockedBy in CONFIG.CHARACTERS are locked until that achievement is earned
+export function isCharacterUnlocked(progress, character) {
+    const { unlockedBy } = CONFIG.CHARACTERS[character];
+    return !unlockedBy || Boolean(progress.unlocked[unlockedBy]);
+}
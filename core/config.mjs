@@ -0,0 +1,72 @@
+// ============================================
+// GAME CONFIGURATION
+// ============================================
+// Shared by the browser game and Node (tests, bots, score verification)
+export const CONFIG = {
+    GRID: {
+        WIDTH: 12,
+        HEIGHT: 16,
+        TILE_SIZE: 1,
+        TILE_GAP: 0.06
+    },
+    PLAYER: {
+        SIZE: 0.6,
+        HOP_HEIGHT: 0.7,
+        HOP_DURATION: 100,
+        START_LIVES: 3,
+        START_POSITION: { x: 6, z: 14 }, // Used when a sector doesn't define its own start
+        INVINCIBLE_DURATION: 2500,
+        FLASH_INTERVAL: 150
+    },
+    SCORING: {
+        MAX_LEVEL_SCORE: 10,      // Max points per sector
+        GRACE_PERIOD: 10000,      // 10 seconds before score starts dropping
+        SCORE_DECAY_TIME: 20000   // Score drops to 0 over 20 seconds after grace period
+    },
+    COLORS: {
+        TILE_DEFAULT: 0x2a2a3a,
+        TILE_SAFE_ISLAND: 0x00ff88,
+        TILE_LAVA: 0xff3311,
+        TILE_COLLECTIBLE: 0x00ccff,
+        TILE_COUNTDOWN: 0x00ffff,
+        BACKGROUND: 0x0a0a1a
+    },
+    SIMULATION: {
+        TICK_RATE: 60,          // Fixed simulation ticks per second, independent of display refresh
+        MAX_FRAME_DELTA: 250    // Cap on catch-up per frame so a stalled tab can't skip ahead
+    },
+    LEVELS: {
+        TOTAL: 0,               // Set from the sector manifest once the sectors load
+        BASE_SPEED: 900,
+        SPEED_DECREASE: 40
+    },
+    // ability only applies in abilities mode (see getAbility in run.mjs). It can set
+    // hopDuration (ms), invincibleDuration (ms after a hit), gracePeriod (ms of full
+    // score), shell (lava touches shrugged off per sector) and slideTiles (how far a
+    // double-tapped hop carries).
+    CHARACTERS: {
+        chicken: {
+            body: 0xffdd33, accent: 0xff6622, secondary: 0xeecc22,
+            ability: { name: 'QUICK FEET', description: 'Hops faster', hopDuration: 70 }
+        },
+        banana: {
+            body: 0xffe135, accent: 0x8b4513, secondary: 0xffeecc,
+            ability: { name: 'SLIPPERY', description: 'Stays invincible twice as long after a hit', invincibleDuration: 5000 }
+        },
+        skier: {
+            body: 0x2255cc, accent: 0xff4444, secondary: 0xffeecc,
+            ability: { name: 'SLIDE', description: 'Glides a little slower - double-tap to slide two tiles', hopDuration: 150, slideTiles: 2 }
+        },
+        turtle: {
+            body: 0x2d8659, accent: 0x8b4513, secondary: 0x3cb371,
+            ability: { name: 'HARD SHELL', description: 'Shrugs off the first lava touch in each sector', shell: 1 }
+        },
+        // Locked until the achievement named by unlockedBy is earned
+        delorean: {
+            body: 0xc0c0c0, accent: 0x00ffff, secondary: 0x909090, unlockedBy: 'mission_complete',
+            ability: { name: '88 MPH', description: 'Score starts dropping 3 seconds later', gracePeriod: 13000 }
+        }
+    }
+};
+
+export const TICK_MS = 1000 / CONFIG.SIMULATION.TICK_RATE;
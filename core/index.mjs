@@ -0,0 +1,19 @@
+// ============================================
+// GAME CORE
+// ============================================
+// The rules of Magma Mayhem with no rendering attached. The browser game
+// renders it; Node can import it for tests, bots and score verification.
+export { CONFIG, TICK_MS } from './config.mjs';
+export { createRng, hashString, parseSeed, generateSeed, createSectorRng } from './rng.mjs';
+export { SECTOR_MANIFEST, loadSectors, validateSector, generateSector } from './sectors.mjs';
+export { updateLavaPatterns } from './patterns.mjs';
+export {
+    createRun, getCurrentSector, beginSector, advanceSector, stepRun, applyInput,
+    drainEvents, movePlayer, getHopProgress, getTileState, GAME_MODES, getAbility, getHopDuration,
+    getGracePeriod
+} from './run.mjs';
+export {
+    REPLAY_VERSION, createReplay, encodeInput, decodeInput, recordInput, finishReplay,
+    validateReplay, createReplayRunner, simulateReplay
+} from './replay.mjs';
+export { ACHIEVEMENTS, createAchievementProgress, trackAchievementEvent, isCharacterUnlocked } from './achievements.mjs';
@@ -0,0 +1,516 @@
+import { CONFIG } from './config.mjs';
+
+// ============================================
+// TABLE TRIG (Same answer in every engine)
+// ============================================
+// Lava has to land on the same tiles in the browser and on the server re-simulating
+// a replay, but Math.sin and Math.cos may differ in the last bit between engines -
+// enough to tip a tile over a rounding boundary. These read a fixed table instead
+// and interpolate with plain arithmetic, which IEEE 754 pins down exactly.
+const SINE_STEPS = 64; // Table entries per quarter turn
+// sin(k/64 of a quarter turn) * 65536, k = 0..64
+const QUARTER_SINE = [
+    0, 1608, 3216, 4821, 6424, 8022, 9616, 11204, 12785, 14359, 15924,
+    17479, 19024, 20557, 22078, 23586, 25080, 26558, 28020, 29466, 30893, 32303,
+    33692, 35062, 36410, 37736, 39040, 40320, 41576, 42806, 44011, 45190, 46341,
+    47464, 48559, 49624, 50660, 51665, 52639, 53581, 54491, 55368, 56212, 57022,
+    57798, 58538, 59244, 59914, 60547, 61145, 61705, 62228, 62714, 63162, 63572,
+    63944, 64277, 64571, 64827, 65043, 65220, 65358, 65457, 65516, 65536
+];
+const SINE_SCALE = 65536;
+const STEPS_PER_RADIAN = SINE_STEPS * 2 / Math.PI;
+
+// Sine of an angle given in table steps
+function sineAtStep(step) {
+    const turn = SINE_STEPS * 4;
+    const position = ((step % turn) + turn) % turn;
+    const quarter = Math.floor(position / SINE_STEPS);
+    const within = position - quarter * SINE_STEPS;
+    const along = quarter % 2 === 0 ? within : SINE_STEPS - within;
+    const index = Math.floor(along);
+    const next = QUARTER_SINE[Math.min(index + 1, SINE_STEPS)];
+    const value = (QUARTER_SINE[index] + (next - QUARTER_SINE[index]) * (along - index)) / SINE_SCALE;
+    return quarter < 2 ? value : -value;
+}
+
+function tableSin(angle) {
+    return sineAtStep(angle * STEPS_PER_RADIAN);
+}
+
+function tableCos(angle) {
+    return sineAtStep(angle * STEPS_PER_RADIAN + SINE_STEPS);
+}
+
+// ============================================
+// LAVA PATTERNS (Predictable, Creative, Progressive)
+// ============================================
+
+// Standard red floor pattern - creates consistent visual rhythm
+export function addStandardRedFloor(run, speed = 1.0) {
+    // Checkerboard pulse pattern - always visible, predictable timing
+    run.lavaPatterns.push({
+        type: 'checkerboard_pulse',
+        phase: 0,
+        speed: speed,
+        interval: 1500 // ms between pulses
+    });
+}
+
+// Pulsing gray tiles - all gray tiles pulse red on/off
+export function addPulsingGrayTiles(run, interval = 800) {
+    run.lavaPatterns.push({
+        type: 'gray_pulse',
+        interval: interval,
+        phase: 0
+    });
+}
+
+// Diagonal lines pattern - predictable sweeping
+export function addDiagonalSweep(run, direction = 1, speed = 0.8) {
+    run.lavaPatterns.push({
+        type: 'diagonal_sweep',
+        direction: direction,
+        width: 2,
+        speed: speed,
+        offset: 0
+    });
+}
+
+// Row march - rows light up one at a time, march across
+export function addRowMarch(run, speed = 1.0) {
+    run.lavaPatterns.push({
+        type: 'row_march',
+        currentRow: 0,
+        speed: speed,
+        width: 2
+    });
+}
+
+// Column march - columns light up, sweep left to right
+export function addColumnMarch(run, speed = 1.0) {
+    run.lavaPatterns.push({
+        type: 'column_march',
+        currentCol: 0,
+        speed: speed,
+        width: 2
+    });
+}
+
+// Cross pattern - predictable X shape that rotates
+export function addRotatingCross(run, speed = 0.5) {
+    run.lavaPatterns.push({
+        type: 'rotating_cross',
+        angle: 0,
+        speed: speed,
+        armLength: 5
+    });
+}
+
+// Spiral inward pattern
+export function addSpiralPattern(run, speed = 0.6) {
+    run.lavaPatterns.push({
+        type: 'spiral',
+        progress: 0,
+        speed: speed,
+        direction: 1
+    });
+}
+
+// Rolling X pattern - multiple X shapes that sweep down the board
+export function addRollingX(run, count = 3, speed = 0.8, spacing = 5) {
+    for (let i = 0; i < count; i++) {
+        run.lavaPatterns.push({
+            type: 'rolling_x',
+            offset: i * spacing,
+            speed: speed,
+            size: 3
+        });
+    }
+}
+
+export function addHorizontalBar(run, row, width, direction, speed) {
+    run.lavaPatterns.push({
+        type: 'horizontal',
+        row: Math.min(row, CONFIG.GRID.HEIGHT - 4),
+        width: width,
+        direction: direction,
+        offset: run.rng() * CONFIG.GRID.WIDTH,
+        speed: speed
+    });
+}
+
+export function addVerticalBar(run, col, height, direction, speed) {
+    run.lavaPatterns.push({
+        type: 'vertical',
+        col: Math.min(col, CONFIG.GRID.WIDTH - 1),
+        height: height,
+        direction: direction,
+        offset: run.rng() * CONFIG.GRID.HEIGHT,
+        speed: speed
+    });
+}
+
+export function addWavePattern(run, speed) {
+    run.lavaPatterns.push({
+        type: 'wave',
+        amplitude: 2.5,
+        frequency: 0.4,
+        width: 2,
+        offset: 0,
+        speed: speed
+    });
+}
+
+export function addExpandingRing(run, speed) {
+    run.lavaPatterns.push({
+        type: 'ring',
+        centerX: Math.floor(CONFIG.GRID.WIDTH / 2),
+        centerZ: Math.floor(CONFIG.GRID.HEIGHT / 2) - 2,
+        maxRadius: 6,
+        speed: speed
+    });
+}
+
+export function addSnakePattern(run, length, moveSpeed) {
+    run.lavaPatterns.push({
+        type: 'snake',
+        positions: [],
+        headX: Math.floor(CONFIG.GRID.WIDTH / 2),
+        headZ: Math.floor(CONFIG.GRID.HEIGHT / 2),
+        direction: 0,
+        length: length,
+        lastMoveTime: 0,
+        speed: moveSpeed
+    });
+}
+
+export function addBlinkingTiles(run, count, interval) {
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        positions.push({
+            x: Math.floor(run.rng() * CONFIG.GRID.WIDTH),
+            z: Math.floor(run.rng() * (CONFIG.GRID.HEIGHT - 4)),
+            phase: run.rng() * Math.PI * 2
+        });
+    }
+    run.lavaPatterns.push({
+        type: 'blinker',
+        positions: positions,
+        interval: interval
+    });
+}
+
+// Recompute which tiles are lava at the current sector time
+export function updateLavaPatterns(run) {
+    run.lavaTiles.clear();
+
+    // Patterns run on sector time so every sector starts from the same phase
+    const time = run.time - run.levelStartTime;
+    const baseSpeed = CONFIG.LEVELS.BASE_SPEED - (run.currentLevel - 1) * CONFIG.LEVELS.SPEED_DECREASE;
+
+    run.lavaPatterns.forEach(pattern => {
+        switch (pattern.type) {
+            case 'horizontal': updateHorizontalPattern(run, pattern, time, baseSpeed); break;
+            case 'vertical': updateVerticalPattern(run, pattern, time, baseSpeed); break;
+            case 'wave': updateWavePattern(run, pattern, time, baseSpeed); break;
+            case 'ring': updateRingPattern(run, pattern, time); break;
+            case 'snake': updateSnakePattern(run, pattern, time); break;
+            case 'blinker': updateBlinkerPattern(run, pattern, time); break;
+            case 'diagonal_sweep': updateDiagonalSweep(run, pattern, time, baseSpeed); break;
+            case 'row_march': updateRowMarch(run, pattern, time, baseSpeed); break;
+            case 'column_march': updateColumnMarch(run, pattern, time, baseSpeed); break;
+            case 'rotating_cross': updateRotatingCross(run, pattern, time); break;
+            case 'spiral': updateSpiralPattern(run, pattern, time); break;
+            case 'gray_pulse': updateGrayPulse(run, pattern, time); break;
+            case 'checkerboard_pulse': updateCheckerboardPulse(run, pattern, time); break;
+            case 'rolling_x': updateRollingX(run, pattern, time, baseSpeed); break;
+        }
+    });
+
+    // Lava never covers safe islands or collectibles
+    run.lavaTiles.forEach(key => {
+        if (run.safeIslands.has(key) || run.collectibleTiles.has(key)) {
+            run.lavaTiles.delete(key);
+        }
+    });
+}
+
+function updateHorizontalPattern(run, pattern, time, baseSpeed) {
+    const progress = (time / baseSpeed) * pattern.speed;
+    const currentPos = (progress + pattern.offset) % (CONFIG.GRID.WIDTH + pattern.width);
+
+    for (let i = 0; i < pattern.width; i++) {
+        let x;
+        if (pattern.direction > 0) {
+            x = Math.floor(currentPos + i) % CONFIG.GRID.WIDTH;
+        } else {
+            x = CONFIG.GRID.WIDTH - 1 - (Math.floor(currentPos + i) % CONFIG.GRID.WIDTH);
+        }
+
+        if (x >= 0 && x < CONFIG.GRID.WIDTH) {
+            run.lavaTiles.add(`${x},${pattern.row}`);
+        }
+    }
+}
+
+function updateVerticalPattern(run, pattern, time, baseSpeed) {
+    const progress = (time / baseSpeed) * pattern.speed;
+    const currentPos = (progress + pattern.offset) % (CONFIG.GRID.HEIGHT + pattern.height);
+
+    for (let i = 0; i < pattern.height; i++) {
+        let z;
+        if (pattern.direction > 0) {
+            z = Math.floor(currentPos + i) % (CONFIG.GRID.HEIGHT - 2);
+        } else {
+            z = (CONFIG.GRID.HEIGHT - 3) - (Math.floor(currentPos + i) % (CONFIG.GRID.HEIGHT - 2));
+        }
+
+        if (z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${pattern.col},${z}`);
+        }
+    }
+}
+
+function updateWavePattern(run, pattern, time, baseSpeed) {
+    const progress = (time / baseSpeed) * pattern.speed;
+
+    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+        const z = Math.floor(
+            (CONFIG.GRID.HEIGHT / 2 - 2) +
+            tableSin((x * pattern.frequency) + progress) * pattern.amplitude
+        );
+
+        for (let w = 0; w < pattern.width; w++) {
+            const wz = z + w;
+            if (wz >= 0 && wz < CONFIG.GRID.HEIGHT - 2) {
+                run.lavaTiles.add(`${x},${wz}`);
+            }
+        }
+    }
+}
+
+function updateRingPattern(run, pattern, time) {
+    const progress = (time / 2000) * pattern.speed;
+    const currentRadius = (progress % pattern.maxRadius);
+
+    // Draw ring outline
+    for (let angle = 0; angle < Math.PI * 2; angle += 0.15) {
+        const x = Math.round(pattern.centerX + tableCos(angle) * currentRadius);
+        const z = Math.round(pattern.centerZ + tableSin(angle) * currentRadius);
+
+        if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x},${z}`);
+        }
+    }
+}
+
+function updateSnakePattern(run, pattern, time) {
+    if (time - pattern.lastMoveTime > pattern.speed) {
+        pattern.lastMoveTime = time;
+
+        // Random direction changes (not chasing player - more predictable)
+        if (run.rng() < 0.15) {
+            pattern.direction = (pattern.direction + (run.rng() > 0.5 ? 1 : 3)) % 4;
+        }
+
+        const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const [dx, dz] = dirs[pattern.direction];
+
+        let newX = pattern.headX + dx;
+        let newZ = pattern.headZ + dz;
+
+        // Bounce off walls
+        if (newX < 0 || newX >= CONFIG.GRID.WIDTH) {
+            pattern.direction = (pattern.direction + 2) % 4;
+            newX = pattern.headX;
+        }
+        if (newZ < 0 || newZ >= CONFIG.GRID.HEIGHT - 2) {
+            pattern.direction = (pattern.direction + 2) % 4;
+            newZ = pattern.headZ;
+        }
+
+        pattern.positions.unshift({ x: newX, z: newZ });
+        pattern.headX = newX;
+        pattern.headZ = newZ;
+
+        while (pattern.positions.length > pattern.length) {
+            pattern.positions.pop();
+        }
+    }
+
+    pattern.positions.forEach(pos => {
+        if (pos.z < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${pos.x},${pos.z}`);
+        }
+    });
+}
+
+function updateBlinkerPattern(run, pattern, time) {
+    pattern.positions.forEach(pos => {
+        if (pos.z < CONFIG.GRID.HEIGHT - 2) {
+            const blinkValue = tableSin((time / pattern.interval) + pos.phase);
+            if (blinkValue > 0.3) {
+                run.lavaTiles.add(`${pos.x},${pos.z}`);
+            }
+        }
+    });
+}
+
+// Diagonal sweep - lava sweeps diagonally across the grid
+function updateDiagonalSweep(run, pattern, time, baseSpeed) {
+    const progress = (time / baseSpeed) * pattern.speed;
+    const totalDiagonals = CONFIG.GRID.WIDTH + CONFIG.GRID.HEIGHT;
+    const currentDiag = Math.floor(progress) % totalDiagonals;
+
+    for (let w = 0; w < pattern.width; w++) {
+        const diagIndex = (currentDiag + w) % totalDiagonals;
+
+        // Draw diagonal line
+        for (let i = 0; i <= diagIndex; i++) {
+            let x, z;
+            if (pattern.direction > 0) {
+                x = i;
+                z = diagIndex - i;
+            } else {
+                x = CONFIG.GRID.WIDTH - 1 - i;
+                z = diagIndex - i;
+            }
+
+            if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+                run.lavaTiles.add(`${x},${z}`);
+            }
+        }
+    }
+}
+
+// Row march - rows of lava march from top to bottom
+function updateRowMarch(run, pattern, time, baseSpeed) {
+    const progress = (time / (baseSpeed * 1.5)) * pattern.speed;
+    const currentRow = Math.floor(progress) % (CONFIG.GRID.HEIGHT - 2);
+
+    for (let w = 0; w < pattern.width; w++) {
+        const row = (currentRow + w) % (CONFIG.GRID.HEIGHT - 2);
+        for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+            run.lavaTiles.add(`${x},${row}`);
+        }
+    }
+}
+
+// Column march - columns of lava sweep left to right
+function updateColumnMarch(run, pattern, time, baseSpeed) {
+    const progress = (time / (baseSpeed * 1.2)) * pattern.speed;
+    const currentCol = Math.floor(progress) % CONFIG.GRID.WIDTH;
+
+    for (let w = 0; w < pattern.width; w++) {
+        const col = (currentCol + w) % CONFIG.GRID.WIDTH;
+        for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
+            run.lavaTiles.add(`${col},${z}`);
+        }
+    }
+}
+
+// Rotating cross - X pattern that rotates around center
+function updateRotatingCross(run, pattern, time) {
+    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
+    const centerZ = Math.floor((CONFIG.GRID.HEIGHT - 2) / 2);
+    const angle = (time / 3000) * pattern.speed * Math.PI * 2;
+
+    // Draw two arms of the cross
+    for (let i = -pattern.armLength; i <= pattern.armLength; i++) {
+        // First arm
+        const x1 = Math.round(centerX + tableCos(angle) * i);
+        const z1 = Math.round(centerZ + tableSin(angle) * i);
+        if (x1 >= 0 && x1 < CONFIG.GRID.WIDTH && z1 >= 0 && z1 < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x1},${z1}`);
+        }
+
+        // Second arm (perpendicular)
+        const x2 = Math.round(centerX + tableCos(angle + Math.PI / 2) * i);
+        const z2 = Math.round(centerZ + tableSin(angle + Math.PI / 2) * i);
+        if (x2 >= 0 && x2 < CONFIG.GRID.WIDTH && z2 >= 0 && z2 < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x2},${z2}`);
+        }
+    }
+}
+
+// Spiral pattern - lava spirals outward from center
+function updateSpiralPattern(run, pattern, time) {
+    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
+    const centerZ = Math.floor((CONFIG.GRID.HEIGHT - 2) / 2);
+    const progress = (time / 2000) * pattern.speed;
+
+    // Draw spiral arm
+    for (let t = 0; t < 20; t++) {
+        const angle = progress + t * 0.3;
+        const radius = t * 0.4;
+        const x = Math.round(centerX + tableCos(angle) * radius);
+        const z = Math.round(centerZ + tableSin(angle) * radius);
+
+        if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x},${z}`);
+        }
+    }
+}
+
+// Rolling X pattern - X shapes that roll down the board
+function updateRollingX(run, pattern, time, baseSpeed) {
+    const progress = (time / baseSpeed) * pattern.speed;
+    const totalHeight = CONFIG.GRID.HEIGHT + pattern.size * 2;
+    const currentZ = ((progress + pattern.offset) % totalHeight) - pattern.size;
+
+    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
+    const size = pattern.size;
+
+    // Draw X shape - two diagonals crossing
+    for (let i = -size; i <= size; i++) {
+        // First diagonal: goes from top-left to bottom-right
+        const z1 = Math.floor(currentZ + i);
+        const x1 = centerX + i;
+        if (x1 >= 0 && x1 < CONFIG.GRID.WIDTH && z1 >= 0 && z1 < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x1},${z1}`);
+        }
+
+        // Second diagonal: goes from top-right to bottom-left (crossing)
+        const z2 = Math.floor(currentZ + i);
+        const x2 = centerX - i;
+        if (x2 >= 0 && x2 < CONFIG.GRID.WIDTH && z2 >= 0 && z2 < CONFIG.GRID.HEIGHT - 2) {
+            run.lavaTiles.add(`${x2},${z2}`);
+        }
+    }
+}
+
+// Gray pulse - ALL non-safe, non-collectible tiles pulse red on/off
+function updateGrayPulse(run, pattern, time) {
+    // On for one interval, off for the next
+    const pulseOn = Math.floor(time / pattern.interval) % 2 === 0;
+
+    if (pulseOn) {
+        // Turn all gray tiles to lava
+        for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+            for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
+                const key = `${x},${z}`;
+                if (!run.safeIslands.has(key) && !run.collectibleTiles.has(key)) {
+                    run.lavaTiles.add(key);
+                }
+            }
+        }
+    }
+    // When pulseOn is false, no lava tiles are added (all gray)
+}
+
+// Checkerboard pulse - alternating tiles pulse in checkerboard pattern
+function updateCheckerboardPulse(run, pattern, time) {
+    const phase = Math.floor(time / pattern.interval) % 2;
+
+    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+        for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
+            const isEven = (x + z) % 2 === phase;
+            if (isEven) {
+                const key = `${x},${z}`;
+                if (!run.safeIslands.has(key) && !run.collectibleTiles.has(key)) {
+                    run.lavaTiles.add(key);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,126 @@
+import { GAME_MODES, createRun, beginSector, advanceSector, stepRun } from './run.mjs';
+
+// ============================================
+// REPLAYS (Seed + timestamped inputs)
+// ============================================
+// A run is fully determined by its seed, character, mode and the inputs fed to
+// each tick, so that's all a replay stores. Inputs are [tick, code] pairs where
+// tick is run.tick when the input was applied. Replays from before modes have no
+// mode and are classic.
+export const REPLAY_VERSION = 1;
+
+const MOVE_CODES = {
+    U: { dx: 0, dz: -1 },
+    D: { dx: 0, dz: 1 },
+    L: { dx: -1, dz: 0 },
+    R: { dx: 1, dz: 0 }
+};
+const PAUSE_CODE = 'P'; // Pause toggled - no effect on the simulation, kept for review
+
+export function createReplay(run) {
+    return {
+        version: REPLAY_VERSION,
+        seed: run.seed,
+        character: run.character,
+        mode: run.mode,
+        inputs: [],
+        ticks: 0
+    };
+}
+
+export function encodeInput(input) {
+    if (input.type === 'pause') return PAUSE_CODE;
+    if (input.type !== 'move') return null;
+    return Object.keys(MOVE_CODES).find(code =>
+        MOVE_CODES[code].dx === input.dx && MOVE_CODES[code].dz === input.dz) || null;
+}
+
+export function decodeInput(code) {
+    if (code === PAUSE_CODE) return { type: 'pause' };
+    const move = MOVE_CODES[code];
+    return move ? { type: 'move', dx: move.dx, dz: move.dz } : null;
+}
+
+export function recordInput(replay, tick, input) {
+    const code = encodeInput(input);
+    if (code) replay.inputs.push([tick, code]);
+}
+
+// Stamp the outcome so a replay can be summarised without simulating it
+export function finishReplay(replay, run) {
+    replay.ticks = run.tick;
+    replay.score = run.totalScore;
+    replay.level = run.currentLevel;
+    replay.outcome = run.phase;
+}
+
+// Throws if the replay can't be played back; returns it otherwise
+export function validateReplay(replay) {
+    const fail = (message) => { throw new Error(`Invalid replay: ${message}`); };
+
+    if (!replay || typeof replay !== 'object') fail('not an object');
+    if (replay.version !== REPLAY_VERSION) fail(`unsupported version ${replay.version}`);
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) fail('bad seed');
+    if (typeof replay.character !== 'string') fail('bad character');
+    if (replay.mode !== undefined && !GAME_MODES.includes(replay.mode)) fail('bad mode');
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) fail('bad tick count');
+    if (!Array.isArray(replay.inputs)) fail('inputs must be an array');
+
+    let lastTick = 0;
+    replay.inputs.forEach((entry, index) => {
+        if (!Array.isArray(entry) || entry.length !== 2) fail(`input ${index} is malformed`);
+        const [tick, code] = entry;
+        if (!Number.isInteger(tick) || tick < lastTick || tick > replay.ticks) fail(`input ${index} has a bad tick`);
+        if (!decodeInput(code)) fail(`input ${index} has an unknown code "${code}"`);
+        lastTick = tick;
+    });
+
+    return replay;
+}
+
+// Plays a replay forward on a fresh run, one tick per step(). Sectors advance
+// on their own - there's no countdown or "next sector" button to wait for.
+export function createReplayRunner(replay, sectors) {
+    const run = createRun({ sectors, seed: replay.seed, character: replay.character, mode: replay.mode });
+    beginSector(run);
+    let cursor = 0;
+
+    return {
+        run,
+
+        // Over when the run ended or the recording stops (e.g. the tab was closed)
+        isFinished() {
+            return run.phase === 'game_over' || run.phase === 'won' || run.tick >= replay.ticks;
+        },
+
+        // Returns the non-move inputs (pauses) that happened on this tick
+        step() {
+            if (run.phase === 'sector_clear') {
+                advanceSector(run);
+                beginSector(run);
+            }
+            if (this.isFinished()) return [];
+
+            const moves = [];
+            const others = [];
+            while (cursor < replay.inputs.length && replay.inputs[cursor][0] <= run.tick) {
+                const input = decodeInput(replay.inputs[cursor][1]);
+                (input.type === 'move' ? moves : others).push(input);
+                cursor++;
+            }
+
+            stepRun(run, moves);
+            return others;
+        }
+    };
+}
+
+// Run a whole replay headlessly and return the final run
+export function simulateReplay(replay, sectors) {
+    const runner = createReplayRunner(replay, sectors);
+    while (!runner.isFinished()) {
+        runner.step();
+        runner.run.events.length = 0;
+    }
+    return runner.run;
+}
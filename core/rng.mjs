@@ -0,0 +1,41 @@
+// ============================================
+// SEEDED RANDOM NUMBERS (Reproducible runs)
+// ============================================
+// mulberry32 - tiny, fast and plenty random for level generation
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a hash - turns any string into a 32-bit seed
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Accept plain numbers as-is so shared seeds round-trip, hash anything else
+export function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) return Number(text);
+    return hashString(text);
+}
+
+// Fresh seed for a run nobody asked to reproduce
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// Each sector gets its own stream so its layout doesn't depend on earlier sectors
+export function createSectorRng(runSeed, level) {
+    return createRng(hashString(`${runSeed}:${level}`));
+}
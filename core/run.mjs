@@ -0,0 +1,322 @@
+import { CONFIG, TICK_MS } from './config.mjs';
+import { createSectorRng, generateSeed } from './rng.mjs';
+import { generateSector } from './sectors.mjs';
+import { updateLavaPatterns } from './patterns.mjs';
+
+// ============================================
+// RUN STATE
+// ============================================
+// A run is plain data: the host creates it, feeds inputs to stepRun() once per
+// tick and reads the result back. Nothing here touches Three.js or the DOM.
+//
+// Phases: 'ready' (sector not started, e.g. during the countdown), 'playing',
+// 'sector_clear', 'game_over' and 'won'. mode is one of GAME_MODES.
+export function createRun({ sectors, seed = generateSeed(), character = 'chicken', mode = 'classic' }) {
+    return {
+        sectors,
+        seed,
+        character,
+        mode,
+        phase: 'ready',
+        currentLevel: 1,
+        totalScore: 0,
+        livesRemaining: CONFIG.PLAYER.START_LIVES,
+        // Game clock - only advances while the run is stepped
+        tick: 0,
+        time: 0,
+        playerPosition: { ...(sectors[0]?.start || CONFIG.PLAYER.START_POSITION) },
+        lavaTiles: new Set(),
+        collectibleTiles: new Set(),
+        safeIslands: new Set(),
+        lavaPatterns: [],
+        isHopping: false,
+        hopStartTime: 0,
+        hopStartPos: { x: 0, y: 0, z: 0 },
+        hopEndPos: { x: 0, y: 0, z: 0 },
+        hopTiles: 1,            // How far the current hop goes - more once it's a slide
+        shell: 0,               // Lava touches the character can still shrug off this sector
+        invincible: false,
+        invincibleUntil: 0,
+        // Time-based scoring (run clock ms)
+        levelStartTime: 0,
+        currentLevelScore: CONFIG.SCORING.MAX_LEVEL_SCORE,
+        // One record per sector played, in order - see beginSector()
+        breakdown: [],
+        rng: createSectorRng(seed, 1),
+        // Things that happened since the host last called drainEvents()
+        events: []
+    };
+}
+
+export function getCurrentSector(run) {
+    return run.sectors[run.currentLevel - 1];
+}
+
+// The breakdown record for the sector being played
+function currentSectorStats(run) {
+    return run.breakdown[run.breakdown.length - 1];
+}
+
+// Lay out the current sector and start playing it (the host calls this after its countdown)
+export function beginSector(run) {
+    const sector = getCurrentSector(run);
+
+    run.rng = createSectorRng(run.seed, run.currentLevel);
+    generateSector(run, sector);
+
+    run.levelStartTime = run.time;
+    run.currentLevelScore = CONFIG.SCORING.MAX_LEVEL_SCORE;
+    run.playerPosition = { x: sector.start.x, z: sector.start.z };
+    run.isHopping = false;
+    run.shell = getAbility(run.character, run.mode).shell || 0;
+    run.phase = 'playing';
+    // time: run clock ms spent in the sector, points: score earned clearing it
+    run.breakdown.push({ sector: run.currentLevel, time: 0, points: 0, hits: 0, hops: 0, cleared: false });
+
+    updateLavaPatterns(run);
+    emit(run, 'sector_start', { level: run.currentLevel });
+}
+
+// Move on from a cleared sector; the next one starts with beginSector()
+export function advanceSector(run) {
+    if (run.phase !== 'sector_clear') return;
+
+    run.currentLevel++;
+    run.livesRemaining = CONFIG.PLAYER.START_LIVES;
+    run.lavaTiles.clear();
+    run.collectibleTiles.clear();
+    run.safeIslands.clear();
+    run.phase = 'ready';
+}
+
+// ============================================
+// ABILITIES
+// ============================================
+// Classic runs all play the same; in abilities mode each character has the trait
+// from its ability in CONFIG.CHARACTERS. The two are ranked on separate boards.
+export const GAME_MODES = ['classic', 'abilities'];
+
+// The traits a character plays with in a mode - {} for none
+export function getAbility(character, mode) {
+    return mode === 'abilities' ? CONFIG.CHARACTERS[character]?.ability || {} : {};
+}
+
+// How long one tile's hop takes (ms)
+export function getHopDuration(character, mode) {
+    return getAbility(character, mode).hopDuration || CONFIG.PLAYER.HOP_DURATION;
+}
+
+// How long a sector's score stays at full marks (ms)
+export function getGracePeriod(character, mode) {
+    return getAbility(character, mode).gracePeriod || CONFIG.SCORING.GRACE_PERIOD;
+}
+
+// ============================================
+// SIMULATION TICK
+// ============================================
+// Advance the run by exactly one TICK_MS. Inputs are applied first, in order:
+// { type: 'move', dx, dz }
+export function stepRun(run, inputs = []) {
+    if (run.phase !== 'playing') return run;
+
+    inputs.forEach(input => applyInput(run, input));
+
+    run.tick++;
+    run.time = run.tick * TICK_MS;
+
+    updateInvincibility(run);
+    updateLavaPatterns(run);
+    checkLavaCollision(run);
+    if (run.phase === 'playing') updateHop(run);
+    if (run.phase === 'playing') updateTimeBasedScore(run);
+
+    return run;
+}
+
+export function applyInput(run, input) {
+    switch (input.type) {
+        case 'move': return movePlayer(run, input.dx, input.dz);
+        default: return false;
+    }
+}
+
+// Hand the host everything that happened since the last call
+export function drainEvents(run) {
+    return run.events.splice(0);
+}
+
+function emit(run, type, detail = {}) {
+    run.events.push({ type, tick: run.tick, ...detail });
+}
+
+// ============================================
+// PLAYER MOVEMENT
+// ============================================
+export function movePlayer(run, dx, dz) {
+    if (run.phase !== 'playing') return false;
+    if (run.isHopping) return slide(run, dx, dz);
+
+    const newX = run.playerPosition.x + dx;
+    const newZ = run.playerPosition.z + dz;
+
+    if (newX < 0 || newX >= CONFIG.GRID.WIDTH || newZ < 0 || newZ >= CONFIG.GRID.HEIGHT) return false;
+
+    run.isHopping = true;
+    run.hopTiles = 1;
+    run.hopStartTime = run.time;
+    run.hopStartPos = { x: run.playerPosition.x, y: 0, z: run.playerPosition.z };
+    run.hopEndPos = { x: newX, y: 0, z: newZ };
+
+    run.playerPosition.x = newX;
+    run.playerPosition.z = newZ;
+    currentSectorStats(run).hops++;
+
+    emit(run, 'hop', { dx, dz });
+    return true;
+}
+
+// A double-tap: the same direction again before landing carries the hop on to
+// slideTiles tiles, over whatever is in between. Only for characters that can slide.
+function slide(run, dx, dz) {
+    const { slideTiles } = getAbility(run.character, run.mode);
+    const start = run.hopStartPos;
+    if (!slideTiles || run.hopTiles !== 1) return false;
+    if (run.hopEndPos.x - start.x !== dx || run.hopEndPos.z - start.z !== dz) return false;
+
+    const newX = start.x + dx * slideTiles;
+    const newZ = start.z + dz * slideTiles;
+    if (newX < 0 || newX >= CONFIG.GRID.WIDTH || newZ < 0 || newZ >= CONFIG.GRID.HEIGHT) return false;
+
+    run.hopTiles = slideTiles;
+    run.hopEndPos = { x: newX, y: 0, z: newZ };
+    run.playerPosition.x = newX;
+    run.playerPosition.z = newZ;
+
+    emit(run, 'slide', { dx, dz });
+    return true;
+}
+
+// 0 at take-off, 1 on landing - a slide takes as long as the hops it covers
+export function getHopProgress(run) {
+    if (!run.isHopping) return 1;
+    const duration = getHopDuration(run.character, run.mode) * run.hopTiles;
+    return Math.min((run.time - run.hopStartTime) / duration, 1);
+}
+
+function updateHop(run) {
+    if (!run.isHopping || getHopProgress(run) < 1) return;
+
+    run.isHopping = false;
+    collectItem(run, run.playerPosition.x, run.playerPosition.z);
+    checkLavaCollision(run);
+}
+
+// ============================================
+// GAME LOGIC
+// ============================================
+function collectItem(run, x, z) {
+    const key = `${x},${z}`;
+    if (!run.collectibleTiles.has(key)) return;
+
+    run.collectibleTiles.delete(key);
+    emit(run, 'collect', { x, z });
+
+    // Check if all collectibles collected - award time-based score
+    if (run.collectibleTiles.size === 0) {
+        const earnedScore = Math.max(1, run.currentLevelScore);
+        const stats = currentSectorStats(run);
+        run.totalScore += earnedScore;
+        stats.time = Math.round(run.time - run.levelStartTime);
+        stats.points = earnedScore;
+        stats.cleared = true;
+        run.phase = run.currentLevel >= run.sectors.length ? 'won' : 'sector_clear';
+        emit(run, 'sector_clear', { x, z, points: earnedScore, level: run.currentLevel, time: stats.time });
+    }
+}
+
+function checkLavaCollision(run) {
+    if (run.phase !== 'playing' || run.isHopping || run.invincible) return;
+
+    const key = `${run.playerPosition.x},${run.playerPosition.z}`;
+
+    if (run.safeIslands.has(key)) return;
+
+    if (run.lavaTiles.has(key)) {
+        playerHit(run);
+    }
+}
+
+function playerHit(run) {
+    if (run.invincible) return;
+
+    // A shell takes the touch instead of a life, and a moment to get off the lava
+    if (run.shell > 0) {
+        run.shell--;
+        startInvincibility(run);
+        emit(run, 'shell', { x: run.playerPosition.x, z: run.playerPosition.z, shellRemaining: run.shell });
+        return;
+    }
+
+    const stats = currentSectorStats(run);
+    run.livesRemaining--;
+    stats.hits++;
+    emit(run, 'hit', { x: run.playerPosition.x, z: run.playerPosition.z, livesRemaining: run.livesRemaining });
+
+    if (run.livesRemaining <= 0) {
+        stats.time = Math.round(run.time - run.levelStartTime);
+        run.phase = 'game_over';
+        emit(run, 'game_over', { level: run.currentLevel, score: run.totalScore });
+    } else {
+        respawnPlayer(run);
+    }
+}
+
+function respawnPlayer(run) {
+    const start = getCurrentSector(run).start;
+    run.playerPosition = { x: start.x, z: start.z };
+    run.isHopping = false;
+    startInvincibility(run);
+
+    emit(run, 'respawn', { x: start.x, z: start.z });
+}
+
+function startInvincibility(run) {
+    const { invincibleDuration } = getAbility(run.character, run.mode);
+    run.invincible = true;
+    run.invincibleUntil = run.time + (invincibleDuration || CONFIG.PLAYER.INVINCIBLE_DURATION);
+}
+
+function updateInvincibility(run) {
+    if (run.invincible && run.time > run.invincibleUntil) {
+        run.invincible = false;
+    }
+}
+
+function updateTimeBasedScore(run) {
+    const { MAX_LEVEL_SCORE, SCORE_DECAY_TIME } = CONFIG.SCORING;
+    const gracePeriod = getGracePeriod(run.character, run.mode);
+    const elapsed = run.time - run.levelStartTime;
+
+    if (elapsed <= gracePeriod) {
+        // Within grace period - max score
+        run.currentLevelScore = MAX_LEVEL_SCORE;
+    } else {
+        // Score decays after grace period
+        const decayElapsed = elapsed - gracePeriod;
+        const decayProgress = Math.min(decayElapsed / SCORE_DECAY_TIME, 1);
+        run.currentLevelScore = Math.round(MAX_LEVEL_SCORE * (1 - decayProgress));
+        run.currentLevelScore = Math.max(1, run.currentLevelScore); // Minimum 1 point
+    }
+}
+
+// ============================================
+// TILE STATE
+// ============================================
+// What a tile should look like - safe islands and collectibles win over lava
+export function getTileState(run, x, z) {
+    const key = `${x},${z}`;
+    if (run.safeIslands.has(key)) return 'safe_island';
+    if (run.collectibleTiles.has(key)) return 'collectible';
+    if (run.lavaTiles.has(key)) return 'lava';
+    return 'default';
+}
@@ -0,0 +1,250 @@
+import { CONFIG } from './config.mjs';
+import {
+    addHorizontalBar, addVerticalBar, addWavePattern, addExpandingRing, addSnakePattern,
+    addBlinkingTiles, addDiagonalSweep, addRowMarch, addColumnMarch, addRotatingCross,
+    addSpiralPattern, addPulsingGrayTiles, addStandardRedFloor, addRollingX
+} from './patterns.mjs';
+
+// ============================================
+// SECTOR DEFINITIONS (Loaded from sectors/*.json)
+// ============================================
+// Each sector file describes its safe islands, collectibles, lava patterns
+// and start position, and can name an achievement (graceAchievement) for clearing
+// it before its score starts dropping. The manifest order is the play order.
+export const SECTOR_MANIFEST = 'index.json';
+
+// Safe island generators available to sector files
+const SAFE_ISLAND_BUILDERS = {
+    corners: (run) => createCornerIslands(run),
+    center_cross: (run) => createCenterCross(run),
+    perimeter: (run) => setGreenPerimeter(run),
+    diagonal: (run) => createDiagonalIslands(run),
+    scattered: (run, def) => createScatteredIslands(run, def.count),
+    tiles: (run, def) => def.tiles.forEach(([x, z]) => run.safeIslands.add(`${x},${z}`))
+};
+
+// Parameters a lava pattern entry must provide (others fall back to the add* defaults)
+const LAVA_PATTERN_REQUIRED_PARAMS = {
+    horizontal: ['row', 'width', 'direction', 'speed'],
+    vertical: ['col', 'height', 'direction', 'speed'],
+    wave: ['speed'],
+    ring: ['speed'],
+    snake: ['length', 'speed'],
+    blinker: ['count', 'interval']
+};
+
+// Lava pattern builders available to sector files
+const LAVA_PATTERN_BUILDERS = {
+    horizontal: (run, def) => addHorizontalBar(run, def.row, def.width, def.direction, def.speed),
+    vertical: (run, def) => addVerticalBar(run, def.col, def.height, def.direction, def.speed),
+    wave: (run, def) => addWavePattern(run, def.speed),
+    ring: (run, def) => addExpandingRing(run, def.speed),
+    snake: (run, def) => addSnakePattern(run, def.length, def.speed),
+    blinker: (run, def) => addBlinkingTiles(run, def.count, def.interval),
+    diagonal_sweep: (run, def) => addDiagonalSweep(run, def.direction, def.speed),
+    row_march: (run, def) => addRowMarch(run, def.speed),
+    column_march: (run, def) => addColumnMarch(run, def.speed),
+    rotating_cross: (run, def) => addRotatingCross(run, def.speed),
+    spiral: (run, def) => addSpiralPattern(run, def.speed),
+    gray_pulse: (run, def) => addPulsingGrayTiles(run, def.interval),
+    checkerboard_pulse: (run, def) => addStandardRedFloor(run, def.speed),
+    rolling_x: (run, def) => addRollingX(run, def.count, def.speed, def.spacing)
+};
+
+// Load the manifest and every sector it lists. readJson(file) is supplied by the
+// host - fetch() in the browser, fs in Node - with paths relative to sectors/.
+export async function loadSectors(readJson) {
+    const manifest = await readJson(SECTOR_MANIFEST);
+    return Promise.all(manifest.sectors.map(async (file) => validateSector(await readJson(file), file)));
+}
+
+// Check a sector definition and fill in defaults so the builders can trust it
+export function validateSector(definition, file) {
+    const fail = (message) => { throw new Error(`Invalid sector ${file}: ${message}`); };
+
+    const safeIslands = definition.safeIslands || [];
+    const lavaPatterns = definition.lavaPatterns || [];
+    const collectibles = definition.collectibles || {};
+    const start = definition.start || CONFIG.PLAYER.START_POSITION;
+
+    safeIslands.forEach(island => {
+        if (!SAFE_ISLAND_BUILDERS[island.type]) fail(`unknown safe island type "${island.type}"`);
+        if (island.type === 'scattered' && !Number.isInteger(island.count)) fail('scattered islands need a "count"');
+        if (island.type === 'tiles' && !Array.isArray(island.tiles)) fail('tiles islands need a "tiles" array');
+    });
+    lavaPatterns.forEach(pattern => {
+        if (!LAVA_PATTERN_BUILDERS[pattern.type]) fail(`unknown lava pattern type "${pattern.type}"`);
+        (LAVA_PATTERN_REQUIRED_PARAMS[pattern.type] || []).forEach(param => {
+            if (typeof pattern[param] !== 'number') fail(`${pattern.type} pattern needs a numeric "${param}"`);
+        });
+    });
+    if (!Number.isInteger(collectibles.count) || collectibles.count < 1) {
+        fail('collectibles.count must be a positive integer');
+    }
+    if (definition.graceAchievement !== undefined && typeof definition.graceAchievement !== 'string') {
+        fail('graceAchievement must be an achievement id');
+    }
+    if (!Number.isInteger(start.x) || !Number.isInteger(start.z)) {
+        fail('start position must be whole tiles');
+    }
+    if ([collectibles.minRow, collectibles.maxRow].some(row => row !== undefined && !Number.isInteger(row))) {
+        fail('collectibles.minRow and maxRow must be integers');
+    }
+    if (start.x < 0 || start.x >= CONFIG.GRID.WIDTH || start.z < 0 || start.z >= CONFIG.GRID.HEIGHT) {
+        fail('start position is off the grid');
+    }
+
+    return {
+        name: definition.name || file,
+        graceAchievement: definition.graceAchievement || null, // Earned by clearing it inside the grace period
+        start: { x: start.x, z: start.z },
+        safeIslands,
+        lavaPatterns,
+        collectibles: {
+            count: collectibles.count,
+            minRow: collectibles.minRow ?? 0,
+            maxRow: collectibles.maxRow ?? CONFIG.GRID.HEIGHT - 4
+        }
+    };
+}
+
+// Lay out safe islands, collectibles and lava patterns for the run's current sector
+export function generateSector(run, sector) {
+    run.safeIslands.clear();
+    run.collectibleTiles.clear();
+    run.lavaTiles.clear();
+    run.lavaPatterns = [];
+
+    sector.safeIslands.forEach(island => SAFE_ISLAND_BUILDERS[island.type](run, island));
+
+    // Always have safe starting zone
+    createStartingZone(run, sector.start);
+
+    spawnCollectibles(run, sector);
+
+    // Each sector lists specific, readable patterns with increasing complexity
+    sector.lavaPatterns.forEach(pattern => LAVA_PATTERN_BUILDERS[pattern.type](run, pattern));
+}
+
+// ============================================
+// SAFE ISLANDS (Visually pleasing patterns)
+// ============================================
+function createCornerIslands(run) {
+    const corners = [
+        { x: 1, z: 1 }, { x: 10, z: 1 },
+        { x: 1, z: 10 }, { x: 10, z: 10 }
+    ];
+    corners.forEach(c => {
+        for (let dx = 0; dx <= 1; dx++) {
+            for (let dz = 0; dz <= 1; dz++) {
+                const x = c.x + dx;
+                const z = c.z + dz;
+                if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+                    run.safeIslands.add(`${x},${z}`);
+                }
+            }
+        }
+    });
+}
+
+function createCenterCross(run) {
+    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
+    const centerZ = Math.floor(CONFIG.GRID.HEIGHT / 2) - 1;
+
+    // Horizontal line
+    for (let dx = -2; dx <= 2; dx++) {
+        const x = centerX + dx;
+        if (x >= 0 && x < CONFIG.GRID.WIDTH) {
+            run.safeIslands.add(`${x},${centerZ}`);
+        }
+    }
+    // Vertical line
+    for (let dz = -2; dz <= 2; dz++) {
+        const z = centerZ + dz;
+        if (z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
+            run.safeIslands.add(`${centerX},${z}`);
+        }
+    }
+}
+
+function createDiagonalIslands(run) {
+    // Create stepping stone diagonal pattern
+    for (let i = 0; i < 4; i++) {
+        const x = 2 + i * 3;
+        const z = 2 + i * 2;
+        if (x < CONFIG.GRID.WIDTH && z < CONFIG.GRID.HEIGHT - 2) {
+            run.safeIslands.add(`${x},${z}`);
+            if (x + 1 < CONFIG.GRID.WIDTH) run.safeIslands.add(`${x + 1},${z}`);
+        }
+    }
+}
+
+function createScatteredIslands(run, count) {
+    const placed = new Set();
+    for (let i = 0; i < count; i++) {
+        let x, z, attempts = 0;
+        do {
+            x = 1 + Math.floor(run.rng() * (CONFIG.GRID.WIDTH - 2));
+            z = 1 + Math.floor(run.rng() * (CONFIG.GRID.HEIGHT - 5));
+            attempts++;
+        } while (placed.has(`${x},${z}`) && attempts < 50);
+
+        placed.add(`${x},${z}`);
+        run.safeIslands.add(`${x},${z}`);
+    }
+}
+
+function createStartingZone(run, start) {
+    // 3x3 safe zone at player start position
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const x = start.x + dx;
+            const z = start.z + dz;
+            if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT) {
+                run.safeIslands.add(`${x},${z}`);
+            }
+        }
+    }
+}
+
+// Green perimeter - entire outside edge is safe
+function setGreenPerimeter(run) {
+    // Top row
+    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+        run.safeIslands.add(`${x},0`);
+    }
+    // Bottom row (except last 2 rows for player)
+    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+        run.safeIslands.add(`${x},${CONFIG.GRID.HEIGHT - 3}`);
+    }
+    // Left column
+    for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
+        run.safeIslands.add(`0,${z}`);
+    }
+    // Right column
+    for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
+        run.safeIslands.add(`${CONFIG.GRID.WIDTH - 1},${z}`);
+    }
+}
+
+// ============================================
+// COLLECTIBLES (Blue Tiles) - Collect all to complete level
+// ============================================
+function spawnCollectibles(run, sector) {
+    const { start, collectibles } = sector;
+    const rowSpan = collectibles.maxRow - collectibles.minRow + 1;
+
+    let attempts = 0;
+    while (run.collectibleTiles.size < collectibles.count && attempts < 300) {
+        const x = Math.floor(run.rng() * CONFIG.GRID.WIDTH);
+        const z = collectibles.minRow + Math.floor(run.rng() * rowSpan);
+        const key = `${x},${z}`;
+
+        // Don't place on safe islands or player start zone
+        if (!run.safeIslands.has(key) && !run.collectibleTiles.has(key) &&
+            !(Math.abs(x - start.x) <= 1 && Math.abs(z - start.z) <= 1)) {
+            run.collectibleTiles.add(key);
+        }
+        attempts++;
+    }
+}
@@ -1,78 +1,114 @@
 import * as THREE from 'three';
-
-// ============================================
-// GAME CONFIGURATION
-// ============================================
-const CONFIG = {
-    GRID: {
-        WIDTH: 12,
-        HEIGHT: 16,
-        TILE_SIZE: 1,
-        TILE_GAP: 0.06
-    },
-    PLAYER: {
-        SIZE: 0.6,
-        HOP_HEIGHT: 0.7,
-        HOP_DURATION: 100,
-        START_LIVES: 3
-    },
-    COLORS: {
-        TILE_DEFAULT: 0x2a2a3a,
-        TILE_SAFE_ISLAND: 0x00ff88,
-        TILE_LAVA: 0xff3311,
-        TILE_COLLECTIBLE: 0x00ccff,
-        TILE_COUNTDOWN: 0x00ffff,
-        BACKGROUND: 0x0a0a1a
-    },
-    LEVELS: {
-        TOTAL: 12,
-        POINTS_PER_LEVEL: [6, 7, 7, 8, 8, 8, 9, 9, 9, 9, 10, 10],
-        BASE_SPEED: 900,
-        SPEED_DECREASE: 40
-    },
-    CHARACTERS: {
-        chicken: { body: 0xffdd33, accent: 0xff6622, secondary: 0xeecc22 },
-        banana: { body: 0xffe135, accent: 0x8b4513, secondary: 0xffeecc },
-        skier: { body: 0x2255cc, accent: 0xff4444, secondary: 0xffeecc },
-        turtle: { body: 0x2d8659, accent: 0x8b4513, secondary: 0x3cb371 }
-    }
-};
+import {
+    CONFIG, TICK_MS, parseSeed, generateSeed, loadSectors as loadSectorDefinitions,
+    createRun, beginSector, advanceSector, stepRun, drainEvents, getHopProgress, getTileState,
+    createReplay, recordInput, finishReplay, validateReplay, createReplayRunner,
+    ACHIEVEMENTS, createAchievementProgress, trackAchievementEvent, isCharacterUnlocked,
+    GAME_MODES, getAbility
+} from './core/index.mjs';
 
 // ============================================
 // GAME STATE
 // ============================================
+// Gameplay lives in GameState.run (see core/run.mjs); the rest is UI state.
 // Expose GameState globally for leaderboard access
+const TUTORIAL_SHOWN_KEY = 'magmaMayhem.tutorialShown';
+const GAME_MODE_KEY = 'magmaMayhem.mode';
+
 const GameState = window.GameState = {
-    currentLevel: 1,
-    totalScore: 0,
-    livesRemaining: CONFIG.PLAYER.START_LIVES,
+    run: null,              // Current run from the game core
+    replay: null,           // Recording of the current run (see core/replay.mjs)
+    runToken: null,         // Server token the score is submitted with - null for unranked runs
     isPaused: false,
-    isGameOver: false,
-    isPlaying: false,
     isCountingDown: false,
-    playerPosition: { x: 6, z: 14 },
-    tiles: [],
-    lavaTiles: new Set(),
-    collectibleTiles: new Set(),
-    safeIslands: new Set(),
-    isHopping: false,
-    hopStartTime: 0,
-    hopStartPos: { x: 0, y: 0, z: 0 },
-    hopEndPos: { x: 0, y: 0, z: 0 },
-    lavaPatterns: [],
-    invincible: false,
-    invincibleUntil: 0,
+    tiles: [],              // Tile state currently shown on each mesh
     selectedCharacter: 'chicken',
+    mode: loadGameMode(),   // 'classic' or 'abilities' - the last one picked on this device
+    sectorNames: [],        // For the leaderboard's sector picker
+    achievements: ACHIEVEMENTS, // For the badges on the leaderboard's My stats panel
     musicPlaying: false,
-    // Time-based scoring
-    levelStartTime: 0,
-    maxLevelScore: 10,      // Max points per level
-    gracePeriod: 10000,     // 10 seconds before score starts dropping
-    scoreDecayTime: 20000,  // Score drops to 0 over 20 seconds after grace period
-    currentLevelScore: 10,  // Current potential score for this level
-    tutorialShown: false    // Track if tutorial has been shown this session
+    tutorialShown: loadTutorialShown()  // Remembered on this device, so it's only shown once
 };
 
+function loadTutorialShown() {
+    try {
+        return localStorage.getItem(TUTORIAL_SHOWN_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+function loadGameMode() {
+    try {
+        const mode = localStorage.getItem(GAME_MODE_KEY);
+        return GAME_MODES.includes(mode) ? mode : 'classic';
+    } catch (error) {
+        return 'classic';
+    }
+}
+
+function markTutorialShown() {
+    GameState.tutorialShown = true;
+    try {
+        localStorage.setItem(TUTORIAL_SHOWN_KEY, 'true');
+    } catch (error) {
+        // Storage disabled - it'll be shown again next visit
+    }
+}
+
+// Seed and run token for a new run. The leaderboard server hands out both;
+// ?seed= in the URL replays a specific run, which then isn't ranked.
+async function startRunSession() {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed) return { seed: parseSeed(urlSeed), token: null };
+
+    const session = window.LeaderboardAPI ? await window.LeaderboardAPI.startRun() : null;
+    return session || { seed: generateSeed(), token: null }; // Offline or too slow - play unranked
+}
+
+// ============================================
+// GAME CLOCK (Only advances during active play)
+// ============================================
+// The run's clock only moves when stepRun() is called, so pause, a hidden tab
+// and the countdown freeze lava, hops, invincibility and score decay alike.
+// Frames accumulate real time and run as many fixed ticks as fit, so every
+// device simulates exactly the same steps.
+const GameClock = {
+    accumulator: 0      // Real ms not yet consumed by a tick
+};
+
+// Moves requested since the last tick - applied at the start of the next one
+let pendingInputs = [];
+
+// A sector is underway - paused or not
+function isRunInProgress() {
+    return GameState.run !== null && GameState.run.phase === 'playing';
+}
+
+function isGameClockRunning() {
+    if (Playback.active) return Playback.playing && !Playback.runner.isFinished();
+    return isRunInProgress() && !GameState.isPaused && !GameState.isCountingDown;
+}
+
+// Run the ticks owed for this frame; returns how far we are into the next tick (0-1)
+function advanceGameClock(frameDelta) {
+    if (isGameClockRunning()) {
+        const speed = Playback.active ? Playback.speed : 1;
+        GameClock.accumulator += Math.min(frameDelta, CONFIG.SIMULATION.MAX_FRAME_DELTA) * speed;
+
+        while (GameClock.accumulator >= TICK_MS && isGameClockRunning()) {
+            GameClock.accumulator -= TICK_MS;
+            simulateTick();
+        }
+    }
+    return GameClock.accumulator / TICK_MS;
+}
+
+function resetGameClock() {
+    GameClock.accumulator = 0;
+    pendingInputs = [];
+}
+
 // ============================================
 // THREE.JS SETUP
 // ============================================
@@ -162,6 +198,11 @@ function getCameraSettings(forCountdown = false) {
     return { aspect, frustumSize, zoom, followPlayer, isMobile: isMobileOrTouch };
 }
 
+// Tile the player is on (or will start on, before the first run)
+function getPlayerTile() {
+    return GameState.run ? GameState.run.playerPosition : CONFIG.PLAYER.START_POSITION;
+}
+
 // Camera tracking state for mobile
 const CameraState = {
     targetLookAt: { x: 6, y: 0, z: 12 },
@@ -216,8 +257,7 @@ function updateCameraFollow() {
     if (!settings.followPlayer) return;
 
     // Target camera on player position
-    const playerX = GameState.playerPosition.x;
-    const playerZ = GameState.playerPosition.z;
+    const { x: playerX, z: playerZ } = getPlayerTile();
 
     // Center on player with slight bias ahead (lower Z = toward goal)
     CameraState.targetLookAt.x = playerX;
@@ -247,8 +287,9 @@ function resetCameraToPlayer() {
     if (!settings.followPlayer) return;
 
     // Instantly snap camera to player position
-    CameraState.currentLookAt.x = GameState.playerPosition.x;
-    CameraState.currentLookAt.z = GameState.playerPosition.z - 1;
+    const player = getPlayerTile();
+    CameraState.currentLookAt.x = player.x;
+    CameraState.currentLookAt.z = player.z - 1;
     CameraState.targetLookAt.x = CameraState.currentLookAt.x;
     CameraState.targetLookAt.z = CameraState.currentLookAt.z;
     CameraState.initialized = true;
@@ -340,13 +381,13 @@ function onWindowResize() {
 // ============================================
 // CHARACTER CREATION
 // ============================================
-function createPlayer() {
+function createPlayer(character = GameState.selectedCharacter) {
     if (playerMesh) scene.remove(playerMesh);
 
-    const colors = CONFIG.CHARACTERS[GameState.selectedCharacter];
+    const colors = CONFIG.CHARACTERS[character];
     const playerGroup = new THREE.Group();
 
-    switch (GameState.selectedCharacter) {
+    switch (character) {
         case 'chicken': createChickenModel(playerGroup, colors); break;
         case 'banana': createBananaManModel(playerGroup, colors); break;
         case 'skier': createSkierModel(playerGroup, colors); break;
@@ -354,7 +395,7 @@ function createPlayer() {
         case 'delorean': createDeloreanModel(playerGroup, colors); break;
     }
 
-    playerGroup.position.set(GameState.playerPosition.x, 0, GameState.playerPosition.z);
+    playerGroup.position.set(PlayerPose.current.x, 0, PlayerPose.current.z);
     scene.add(playerGroup);
     return playerGroup;
 }
@@ -846,13 +887,17 @@ function setTileState(x, z, state) {
 // ============================================
 // COUNTDOWN SYSTEM (Only on floor tiles - NO overlay)
 // ============================================
-function showCountdownOnFloor(number) {
-    // Clear all tiles first
+function clearBoard() {
     for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
         for (let z = 0; z < CONFIG.GRID.HEIGHT; z++) {
             setTileState(x, z, 'default');
         }
     }
+}
+
+function showCountdownOnFloor(number) {
+    // Clear all tiles first
+    clearBoard();
 
     if (number === 0) return;
 
@@ -916,200 +961,31 @@ function sleep(ms) {
 }
 
 // ============================================
-// SAFE ISLANDS (Visually pleasing patterns)
+// SECTOR DEFINITIONS (Loaded from sectors/*.json)
 // ============================================
-function generateSafeIslands() {
-    GameState.safeIslands.clear();
-
-    const level = GameState.currentLevel;
-
-    // Special level layouts
-    switch (level) {
-        case 1:
-        case 2:
-        case 3:
-            // Early levels: Corner islands + center cross - lots of safety
-            createCornerIslands();
-            createCenterCross();
-            break;
-
-        case 4:
-            // GREEN PERIMETER LEVEL - entire edge is safe!
-            setGreenPerimeter();
-            break;
-
-        case 5:
-        case 6:
-            // Mid levels: Diagonal stepping stones
-            createDiagonalIslands();
-            createCornerIslands();
-            break;
-
-        case 7:
-            // PULSING LEVEL - minimal safe spots, must time your hops
-            createScatteredIslands(6);
-            break;
-
-        case 8:
-            // Rotating cross level - corners only
-            createCornerIslands();
-            break;
-
-        case 9:
-            // Spiral level - sparse diagonal stepping stones
-            createDiagonalIslands();
-            createScatteredIslands(4);
-            break;
-
-        case 10:
-            // Fast pulsing - very few safe spots
-            createScatteredIslands(5);
-            break;
-
-        case 11:
-            // Complex level - minimal safety
-            createCornerIslands();
-            createScatteredIslands(3);
-            break;
-
-        case 12:
-            // FINAL BOSS - extremely challenging, only corners
-            createCornerIslands();
-            break;
-
-        default:
-            createCornerIslands();
-            createCenterCross();
-    }
-
-    // Always have safe starting zone
-    createStartingZone();
-
-    // Apply safe island states
-    GameState.safeIslands.forEach(key => {
-        const [x, z] = key.split(',').map(Number);
-        setTileState(x, z, 'safe_island');
-    });
-}
+const SECTOR_DIRECTORY = 'sectors/';
+let SECTORS = [];
 
-function createCornerIslands() {
-    const corners = [
-        { x: 1, z: 1 }, { x: 10, z: 1 },
-        { x: 1, z: 10 }, { x: 10, z: 10 }
-    ];
-    corners.forEach(c => {
-        for (let dx = 0; dx <= 1; dx++) {
-            for (let dz = 0; dz <= 1; dz++) {
-                const x = c.x + dx;
-                const z = c.z + dz;
-                if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-                    GameState.safeIslands.add(`${x},${z}`);
-                }
-            }
-        }
-    });
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url} (${response.status})`);
+    return await response.json();
 }
 
-function createCenterCross() {
-    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
-    const centerZ = Math.floor(CONFIG.GRID.HEIGHT / 2) - 1;
-
-    // Horizontal line
-    for (let dx = -2; dx <= 2; dx++) {
-        const x = centerX + dx;
-        if (x >= 0 && x < CONFIG.GRID.WIDTH) {
-            GameState.safeIslands.add(`${x},${centerZ}`);
-        }
-    }
-    // Vertical line
-    for (let dz = -2; dz <= 2; dz++) {
-        const z = centerZ + dz;
-        if (z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.safeIslands.add(`${centerX},${z}`);
-        }
-    }
-}
-
-function createDiagonalIslands() {
-    // Create stepping stone diagonal pattern
-    for (let i = 0; i < 4; i++) {
-        const x = 2 + i * 3;
-        const z = 2 + i * 2;
-        if (x < CONFIG.GRID.WIDTH && z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.safeIslands.add(`${x},${z}`);
-            if (x + 1 < CONFIG.GRID.WIDTH) GameState.safeIslands.add(`${x + 1},${z}`);
-        }
-    }
-}
-
-function createScatteredIslands(count) {
-    const placed = new Set();
-    for (let i = 0; i < count; i++) {
-        let x, z, attempts = 0;
-        do {
-            x = 1 + Math.floor(Math.random() * (CONFIG.GRID.WIDTH - 2));
-            z = 1 + Math.floor(Math.random() * (CONFIG.GRID.HEIGHT - 5));
-            attempts++;
-        } while (placed.has(`${x},${z}`) && attempts < 50);
-
-        placed.add(`${x},${z}`);
-        GameState.safeIslands.add(`${x},${z}`);
-    }
-}
-
-function createStartingZone() {
-    // 3x3 safe zone at player start position
-    for (let dx = -1; dx <= 1; dx++) {
-        for (let dz = -1; dz <= 1; dz++) {
-            const x = 6 + dx;
-            const z = 14 + dz;
-            if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT) {
-                GameState.safeIslands.add(`${x},${z}`);
-            }
-        }
-    }
+async function loadSectors() {
+    SECTORS = await loadSectorDefinitions(file => fetchJson(SECTOR_DIRECTORY + file));
+    CONFIG.LEVELS.TOTAL = SECTORS.length;
+    GameState.sectorNames = SECTORS.map(sector => sector.name);
+    console.log(`Loaded ${SECTORS.length} sectors`);
 }
 
-// ============================================
-// COLLECTIBLES (Blue Tiles) - Collect all to complete level
-// ============================================
-function spawnCollectibles() {
-    GameState.collectibleTiles.clear();
-
-    const numCollectibles = CONFIG.LEVELS.POINTS_PER_LEVEL[GameState.currentLevel - 1];
-
-    let attempts = 0;
-    while (GameState.collectibleTiles.size < numCollectibles && attempts < 300) {
-        const x = Math.floor(Math.random() * CONFIG.GRID.WIDTH);
-        const z = Math.floor(Math.random() * (CONFIG.GRID.HEIGHT - 3));
-        const key = `${x},${z}`;
-
-        // Don't place on safe islands or player start zone
-        if (!GameState.safeIslands.has(key) && !GameState.collectibleTiles.has(key) &&
-            !(x >= 5 && x <= 7 && z >= 13 && z <= 15)) {
-            GameState.collectibleTiles.add(key);
-            setTileState(x, z, 'collectible');
-        }
-        attempts++;
-    }
-}
-
-function collectItem(x, z) {
-    const key = `${x},${z}`;
-    if (GameState.collectibleTiles.has(key)) {
-        GameState.collectibleTiles.delete(key);
-
-        // Turn tile gray (collected)
-        setTileState(x, z, 'default');
-        playCollectSound();
-        updateHUD();
-
-        // Check if all collectibles collected - award time-based score
-        if (GameState.collectibleTiles.size === 0) {
-            const earnedScore = Math.max(1, GameState.currentLevelScore);
-            GameState.totalScore += earnedScore;
-            showScorePopup(x, z, earnedScore);
-            setTimeout(() => levelComplete(), 300);
+// Bring the tile meshes in line with the run - only touches tiles that changed
+function syncTiles() {
+    const run = GameState.run;
+    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
+        for (let z = 0; z < CONFIG.GRID.HEIGHT; z++) {
+            const state = getTileState(run, x, z);
+            if (GameState.tiles[x][z] !== state) setTileState(x, z, state);
         }
     }
 }
@@ -1129,712 +1005,139 @@ function showScorePopup(x, z, points) {
     setTimeout(() => popup.remove(), 1000);
 }
 
-// ============================================
-// LAVA PATTERNS (Predictable, Creative, Progressive)
-// ============================================
-
-// Standard red floor pattern - creates consistent visual rhythm
-function addStandardRedFloor(speed = 1.0) {
-    // Checkerboard pulse pattern - always visible, predictable timing
-    GameState.lavaPatterns.push({
-        type: 'checkerboard_pulse',
-        phase: 0,
-        speed: speed,
-        interval: 1500 // ms between pulses
-    });
-}
-
-// Pulsing gray tiles - all gray tiles pulse red on/off
-function addPulsingGrayTiles(interval = 800) {
-    GameState.lavaPatterns.push({
-        type: 'gray_pulse',
-        interval: interval,
-        phase: 0
-    });
-}
-
-// Green perimeter - entire outside edge is safe
-function setGreenPerimeter() {
-    // Top row
-    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-        GameState.safeIslands.add(`${x},0`);
-    }
-    // Bottom row (except last 2 rows for player)
-    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-        GameState.safeIslands.add(`${x},${CONFIG.GRID.HEIGHT - 3}`);
-    }
-    // Left column
-    for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
-        GameState.safeIslands.add(`0,${z}`);
-    }
-    // Right column
-    for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
-        GameState.safeIslands.add(`${CONFIG.GRID.WIDTH - 1},${z}`);
-    }
-}
-
-// Diagonal lines pattern - predictable sweeping
-function addDiagonalSweep(direction = 1, speed = 0.8) {
-    GameState.lavaPatterns.push({
-        type: 'diagonal_sweep',
-        direction: direction,
-        width: 2,
-        speed: speed,
-        offset: 0
-    });
-}
-
-// Row march - rows light up one at a time, march across
-function addRowMarch(speed = 1.0) {
-    GameState.lavaPatterns.push({
-        type: 'row_march',
-        currentRow: 0,
-        speed: speed,
-        width: 2
-    });
-}
-
-// Column march - columns light up, sweep left to right
-function addColumnMarch(speed = 1.0) {
-    GameState.lavaPatterns.push({
-        type: 'column_march',
-        currentCol: 0,
-        speed: speed,
-        width: 2
-    });
-}
-
-// Cross pattern - predictable X shape that rotates
-function addRotatingCross(speed = 0.5) {
-    GameState.lavaPatterns.push({
-        type: 'rotating_cross',
-        angle: 0,
-        speed: speed,
-        armLength: 5
-    });
-}
-
-// Spiral inward pattern
-function addSpiralPattern(speed = 0.6) {
-    GameState.lavaPatterns.push({
-        type: 'spiral',
-        progress: 0,
-        speed: speed,
-        direction: 1
-    });
-}
-
-// Rolling X pattern - multiple X shapes that sweep down the board
-function addRollingX(count = 3, speed = 0.8, spacing = 5) {
-    for (let i = 0; i < count; i++) {
-        GameState.lavaPatterns.push({
-            type: 'rolling_x',
-            offset: i * spacing,
-            speed: speed,
-            size: 3
-        });
-    }
-}
-
-function generateLavaPatterns() {
-    GameState.lavaPatterns = [];
-    const level = GameState.currentLevel;
-
-    // Each level has specific, readable patterns with increasing complexity
-    switch (level) {
-        case 1:
-            // INTRO: Simple horizontal bars only - learn the basics
-            addHorizontalBar(4, 3, 1, 0.5);
-            addHorizontalBar(9, 3, -1, 0.5);
-            break;
-
-        case 2:
-            // Learn vertical movement
-            addHorizontalBar(3, 3, 1, 0.6);
-            addHorizontalBar(10, 3, -1, 0.6);
-            addVerticalBar(5, 3, 1, 0.5);
-            break;
-
-        case 3:
-            // Grid pattern - horizontal + vertical crossing
-            addHorizontalBar(3, 4, 1, 0.7);
-            addHorizontalBar(8, 4, -1, 0.7);
-            addVerticalBar(3, 4, 1, 0.6);
-            addVerticalBar(8, 4, -1, 0.6);
-            break;
-
-        case 4:
-            // ROLLING X LEVEL - multiple X patterns sweeping down the board
-            // This level uses green perimeter (set in generateSafeIslands)
-            addRollingX(3, 0.6, 6); // 3 X patterns, spaced 6 apart
-            break;
-
-        case 5:
-            // Row march introduction - very predictable
-            addRowMarch(0.8);
-            addHorizontalBar(5, 3, 1, 0.8);
-            break;
-
-        case 6:
-            // Column + row march combo
-            addRowMarch(0.9);
-            addColumnMarch(0.7);
-            break;
-
-        case 7:
-            // PULSING GRAY LEVEL - no moving red, all grays pulse on/off
-            // Slower pulse to give player time to move
-            addPulsingGrayTiles(2400);
-            break;
-
-        case 8:
-            // Rotating cross pattern - slower rotation for readability
-            addRotatingCross(0.3);
-            addHorizontalBar(2, 2, 1, 0.7);
-            addHorizontalBar(10, 2, -1, 0.7);
-            break;
-
-        case 9:
-            // GREEN PERIMETER + patterns - slower for fairness
-            addSpiralPattern(0.4);
-            addVerticalBar(4, 2, 1, 0.7);
-            addVerticalBar(7, 2, -1, 0.7);
-            break;
-
-        case 10:
-            // FASTER PULSING - gray tiles pulse, challenging but fair
-            addPulsingGrayTiles(1600);
-            addHorizontalBar(3, 2, 1, 0.7);
-            addHorizontalBar(9, 2, -1, 0.7);
-            break;
-
-        case 11:
-            // Complex but predictable - fewer overlapping patterns
-            addRowMarch(0.7);
-            addColumnMarch(0.5);
-            addHorizontalBar(5, 2, 1, 0.8);
-            break;
-
-        case 12:
-            // FINAL BOSS - intense but readable patterns, slightly slower for fairness
-            addRotatingCross(0.35);
-            addDiagonalSweep(1, 0.6);
-            addHorizontalBar(2, 2, 1, 0.8);
-            addHorizontalBar(10, 2, -1, 0.8);
-            addVerticalBar(3, 2, 1, 0.7);
-            addVerticalBar(8, 2, -1, 0.7);
-            break;
-    }
-}
-
-function addHorizontalBar(row, width, direction, speed) {
-    GameState.lavaPatterns.push({
-        type: 'horizontal',
-        row: Math.min(row, CONFIG.GRID.HEIGHT - 4),
-        width: width,
-        direction: direction,
-        offset: Math.random() * CONFIG.GRID.WIDTH,
-        speed: speed
-    });
-}
-
-function addVerticalBar(col, height, direction, speed) {
-    GameState.lavaPatterns.push({
-        type: 'vertical',
-        col: Math.min(col, CONFIG.GRID.WIDTH - 1),
-        height: height,
-        direction: direction,
-        offset: Math.random() * CONFIG.GRID.HEIGHT,
-        speed: speed
-    });
-}
-
-function addWavePattern(speed) {
-    GameState.lavaPatterns.push({
-        type: 'wave',
-        amplitude: 2.5,
-        frequency: 0.4,
-        width: 2,
-        offset: 0,
-        speed: speed
-    });
-}
-
-function addExpandingRing(speed) {
-    GameState.lavaPatterns.push({
-        type: 'ring',
-        centerX: Math.floor(CONFIG.GRID.WIDTH / 2),
-        centerZ: Math.floor(CONFIG.GRID.HEIGHT / 2) - 2,
-        maxRadius: 6,
-        speed: speed
-    });
-}
-
-function addSnakePattern(length, moveSpeed) {
-    GameState.lavaPatterns.push({
-        type: 'snake',
-        positions: [],
-        headX: Math.floor(CONFIG.GRID.WIDTH / 2),
-        headZ: Math.floor(CONFIG.GRID.HEIGHT / 2),
-        direction: 0,
-        length: length,
-        lastMoveTime: 0,
-        speed: moveSpeed
-    });
-}
-
-function addBlinkingTiles(count, interval) {
-    const positions = [];
-    for (let i = 0; i < count; i++) {
-        positions.push({
-            x: Math.floor(Math.random() * CONFIG.GRID.WIDTH),
-            z: Math.floor(Math.random() * (CONFIG.GRID.HEIGHT - 4)),
-            phase: Math.random() * Math.PI * 2
-        });
-    }
-    GameState.lavaPatterns.push({
-        type: 'blinker',
-        positions: positions,
-        interval: interval
-    });
-}
-
-function updateLavaPatterns(deltaTime) {
-    // Clear previous lava
-    GameState.lavaTiles.forEach(key => {
-        const [x, z] = key.split(',').map(Number);
-        // Don't reset safe islands or collectibles
-        if (!GameState.safeIslands.has(key) && !GameState.collectibleTiles.has(key)) {
-            setTileState(x, z, 'default');
-        }
-    });
-    GameState.lavaTiles.clear();
-
-    const time = Date.now();
-    const baseSpeed = CONFIG.LEVELS.BASE_SPEED - (GameState.currentLevel - 1) * CONFIG.LEVELS.SPEED_DECREASE;
-
-    GameState.lavaPatterns.forEach(pattern => {
-        switch (pattern.type) {
-            case 'horizontal': updateHorizontalPattern(pattern, time, baseSpeed); break;
-            case 'vertical': updateVerticalPattern(pattern, time, baseSpeed); break;
-            case 'wave': updateWavePattern(pattern, time, baseSpeed); break;
-            case 'ring': updateRingPattern(pattern, time); break;
-            case 'snake': updateSnakePattern(pattern, time); break;
-            case 'blinker': updateBlinkerPattern(pattern, time); break;
-            case 'diagonal_sweep': updateDiagonalSweep(pattern, time, baseSpeed); break;
-            case 'row_march': updateRowMarch(pattern, time, baseSpeed); break;
-            case 'column_march': updateColumnMarch(pattern, time, baseSpeed); break;
-            case 'rotating_cross': updateRotatingCross(pattern, time); break;
-            case 'spiral': updateSpiralPattern(pattern, time); break;
-            case 'gray_pulse': updateGrayPulse(pattern, time); break;
-            case 'checkerboard_pulse': updateCheckerboardPulse(pattern, time); break;
-            case 'rolling_x': updateRollingX(pattern, time, baseSpeed); break;
-        }
-    });
-
-    // Apply lava states (but not on safe islands or collectibles)
-    GameState.lavaTiles.forEach(key => {
-        const [x, z] = key.split(',').map(Number);
-        // Don't put lava on safe islands or collectibles
-        if (!GameState.safeIslands.has(key) && !GameState.collectibleTiles.has(key)) {
-            setTileState(x, z, 'lava');
-        }
-    });
-
-    checkLavaCollision();
-}
-
-function updateHorizontalPattern(pattern, time, baseSpeed) {
-    const progress = (time / baseSpeed) * pattern.speed;
-    const currentPos = (progress + pattern.offset) % (CONFIG.GRID.WIDTH + pattern.width);
-
-    for (let i = 0; i < pattern.width; i++) {
-        let x;
-        if (pattern.direction > 0) {
-            x = Math.floor(currentPos + i) % CONFIG.GRID.WIDTH;
-        } else {
-            x = CONFIG.GRID.WIDTH - 1 - (Math.floor(currentPos + i) % CONFIG.GRID.WIDTH);
-        }
-
-        if (x >= 0 && x < CONFIG.GRID.WIDTH) {
-            GameState.lavaTiles.add(`${x},${pattern.row}`);
-        }
-    }
-}
-
-function updateVerticalPattern(pattern, time, baseSpeed) {
-    const progress = (time / baseSpeed) * pattern.speed;
-    const currentPos = (progress + pattern.offset) % (CONFIG.GRID.HEIGHT + pattern.height);
-
-    for (let i = 0; i < pattern.height; i++) {
-        let z;
-        if (pattern.direction > 0) {
-            z = Math.floor(currentPos + i) % (CONFIG.GRID.HEIGHT - 2);
-        } else {
-            z = (CONFIG.GRID.HEIGHT - 3) - (Math.floor(currentPos + i) % (CONFIG.GRID.HEIGHT - 2));
-        }
-
-        if (z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${pattern.col},${z}`);
-        }
-    }
-}
-
-function updateWavePattern(pattern, time, baseSpeed) {
-    const progress = (time / baseSpeed) * pattern.speed;
-
-    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-        const z = Math.floor(
-            (CONFIG.GRID.HEIGHT / 2 - 2) +
-            Math.sin((x * pattern.frequency) + progress) * pattern.amplitude
-        );
-
-        for (let w = 0; w < pattern.width; w++) {
-            const wz = z + w;
-            if (wz >= 0 && wz < CONFIG.GRID.HEIGHT - 2) {
-                GameState.lavaTiles.add(`${x},${wz}`);
-            }
-        }
-    }
-}
-
-function updateRingPattern(pattern, time) {
-    const progress = (time / 2000) * pattern.speed;
-    const currentRadius = (progress % pattern.maxRadius);
-
-    // Draw ring outline
-    for (let angle = 0; angle < Math.PI * 2; angle += 0.15) {
-        const x = Math.round(pattern.centerX + Math.cos(angle) * currentRadius);
-        const z = Math.round(pattern.centerZ + Math.sin(angle) * currentRadius);
-
-        if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x},${z}`);
-        }
-    }
-}
-
-function updateSnakePattern(pattern, time) {
-    if (time - pattern.lastMoveTime > pattern.speed) {
-        pattern.lastMoveTime = time;
-
-        // Random direction changes (not chasing player - more predictable)
-        if (Math.random() < 0.15) {
-            pattern.direction = (pattern.direction + (Math.random() > 0.5 ? 1 : 3)) % 4;
-        }
-
-        const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
-        const [dx, dz] = dirs[pattern.direction];
-
-        let newX = pattern.headX + dx;
-        let newZ = pattern.headZ + dz;
-
-        // Bounce off walls
-        if (newX < 0 || newX >= CONFIG.GRID.WIDTH) {
-            pattern.direction = (pattern.direction + 2) % 4;
-            newX = pattern.headX;
-        }
-        if (newZ < 0 || newZ >= CONFIG.GRID.HEIGHT - 2) {
-            pattern.direction = (pattern.direction + 2) % 4;
-            newZ = pattern.headZ;
-        }
-
-        pattern.positions.unshift({ x: newX, z: newZ });
-        pattern.headX = newX;
-        pattern.headZ = newZ;
-
-        while (pattern.positions.length > pattern.length) {
-            pattern.positions.pop();
-        }
-    }
-
-    pattern.positions.forEach(pos => {
-        if (pos.z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${pos.x},${pos.z}`);
-        }
-    });
-}
-
-function updateBlinkerPattern(pattern, time) {
-    pattern.positions.forEach(pos => {
-        if (pos.z < CONFIG.GRID.HEIGHT - 2) {
-            const blinkValue = Math.sin((time / pattern.interval) + pos.phase);
-            if (blinkValue > 0.3) {
-                GameState.lavaTiles.add(`${pos.x},${pos.z}`);
-            }
-        }
-    });
-}
-
-// Diagonal sweep - lava sweeps diagonally across the grid
-function updateDiagonalSweep(pattern, time, baseSpeed) {
-    const progress = (time / baseSpeed) * pattern.speed;
-    const totalDiagonals = CONFIG.GRID.WIDTH + CONFIG.GRID.HEIGHT;
-    const currentDiag = Math.floor(progress) % totalDiagonals;
-
-    for (let w = 0; w < pattern.width; w++) {
-        const diagIndex = (currentDiag + w) % totalDiagonals;
-
-        // Draw diagonal line
-        for (let i = 0; i <= diagIndex; i++) {
-            let x, z;
-            if (pattern.direction > 0) {
-                x = i;
-                z = diagIndex - i;
-            } else {
-                x = CONFIG.GRID.WIDTH - 1 - i;
-                z = diagIndex - i;
-            }
-
-            if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-                GameState.lavaTiles.add(`${x},${z}`);
-            }
-        }
-    }
-}
-
-// Row march - rows of lava march from top to bottom
-function updateRowMarch(pattern, time, baseSpeed) {
-    const progress = (time / (baseSpeed * 1.5)) * pattern.speed;
-    const currentRow = Math.floor(progress) % (CONFIG.GRID.HEIGHT - 2);
-
-    for (let w = 0; w < pattern.width; w++) {
-        const row = (currentRow + w) % (CONFIG.GRID.HEIGHT - 2);
-        for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-            GameState.lavaTiles.add(`${x},${row}`);
-        }
-    }
-}
-
-// Column march - columns of lava sweep left to right
-function updateColumnMarch(pattern, time, baseSpeed) {
-    const progress = (time / (baseSpeed * 1.2)) * pattern.speed;
-    const currentCol = Math.floor(progress) % CONFIG.GRID.WIDTH;
-
-    for (let w = 0; w < pattern.width; w++) {
-        const col = (currentCol + w) % CONFIG.GRID.WIDTH;
-        for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
-            GameState.lavaTiles.add(`${col},${z}`);
-        }
-    }
-}
-
-// Rotating cross - X pattern that rotates around center
-function updateRotatingCross(pattern, time) {
-    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
-    const centerZ = Math.floor((CONFIG.GRID.HEIGHT - 2) / 2);
-    const angle = (time / 3000) * pattern.speed * Math.PI * 2;
-
-    // Draw two arms of the cross
-    for (let i = -pattern.armLength; i <= pattern.armLength; i++) {
-        // First arm
-        const x1 = Math.round(centerX + Math.cos(angle) * i);
-        const z1 = Math.round(centerZ + Math.sin(angle) * i);
-        if (x1 >= 0 && x1 < CONFIG.GRID.WIDTH && z1 >= 0 && z1 < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x1},${z1}`);
-        }
-
-        // Second arm (perpendicular)
-        const x2 = Math.round(centerX + Math.cos(angle + Math.PI / 2) * i);
-        const z2 = Math.round(centerZ + Math.sin(angle + Math.PI / 2) * i);
-        if (x2 >= 0 && x2 < CONFIG.GRID.WIDTH && z2 >= 0 && z2 < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x2},${z2}`);
-        }
-    }
-}
-
-// Spiral pattern - lava spirals outward from center
-function updateSpiralPattern(pattern, time) {
-    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
-    const centerZ = Math.floor((CONFIG.GRID.HEIGHT - 2) / 2);
-    const progress = (time / 2000) * pattern.speed;
-
-    // Draw spiral arm
-    for (let t = 0; t < 20; t++) {
-        const angle = progress + t * 0.3;
-        const radius = t * 0.4;
-        const x = Math.round(centerX + Math.cos(angle) * radius);
-        const z = Math.round(centerZ + Math.sin(angle) * radius);
-
-        if (x >= 0 && x < CONFIG.GRID.WIDTH && z >= 0 && z < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x},${z}`);
-        }
-    }
-}
-
-// Rolling X pattern - X shapes that roll down the board
-function updateRollingX(pattern, time, baseSpeed) {
-    const progress = (time / baseSpeed) * pattern.speed;
-    const totalHeight = CONFIG.GRID.HEIGHT + pattern.size * 2;
-    const currentZ = ((progress + pattern.offset) % totalHeight) - pattern.size;
-
-    const centerX = Math.floor(CONFIG.GRID.WIDTH / 2);
-    const size = pattern.size;
-
-    // Draw X shape - two diagonals crossing
-    for (let i = -size; i <= size; i++) {
-        // First diagonal: goes from top-left to bottom-right
-        const z1 = Math.floor(currentZ + i);
-        const x1 = centerX + i;
-        if (x1 >= 0 && x1 < CONFIG.GRID.WIDTH && z1 >= 0 && z1 < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x1},${z1}`);
-        }
-
-        // Second diagonal: goes from top-right to bottom-left (crossing)
-        const z2 = Math.floor(currentZ + i);
-        const x2 = centerX - i;
-        if (x2 >= 0 && x2 < CONFIG.GRID.WIDTH && z2 >= 0 && z2 < CONFIG.GRID.HEIGHT - 2) {
-            GameState.lavaTiles.add(`${x2},${z2}`);
-        }
-    }
-}
-
-// Gray pulse - ALL non-safe, non-collectible tiles pulse red on/off
-function updateGrayPulse(pattern, time) {
-    const pulseOn = Math.sin(time / pattern.interval * Math.PI) > 0;
-
-    if (pulseOn) {
-        // Turn all gray tiles to lava
-        for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-            for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
-                const key = `${x},${z}`;
-                if (!GameState.safeIslands.has(key) && !GameState.collectibleTiles.has(key)) {
-                    GameState.lavaTiles.add(key);
-                }
-            }
-        }
-    }
-    // When pulseOn is false, no lava tiles are added (all gray)
-}
-
-// Checkerboard pulse - alternating tiles pulse in checkerboard pattern
-function updateCheckerboardPulse(pattern, time) {
-    const phase = Math.floor(time / pattern.interval) % 2;
-
-    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-        for (let z = 0; z < CONFIG.GRID.HEIGHT - 2; z++) {
-            const isEven = (x + z) % 2 === phase;
-            if (isEven) {
-                const key = `${x},${z}`;
-                if (!GameState.safeIslands.has(key) && !GameState.collectibleTiles.has(key)) {
-                    GameState.lavaTiles.add(key);
-                }
-            }
-        }
-    }
-}
-
-function checkLavaCollision() {
-    if (GameState.isHopping || GameState.invincible || GameState.isCountingDown) return;
-
-    const key = `${GameState.playerPosition.x},${GameState.playerPosition.z}`;
-
-    if (GameState.safeIslands.has(key)) return;
-
-    if (GameState.lavaTiles.has(key)) {
-        playerHit();
-    }
-}
-
 // ============================================
 // PLAYER MOVEMENT
 // ============================================
+// Queue a hop for the next tick - the core decides whether it's allowed
 function movePlayer(dx, dz) {
-    if (GameState.isHopping || GameState.isPaused || !GameState.isPlaying || GameState.isCountingDown) return;
-
-    const newX = GameState.playerPosition.x + dx;
-    const newZ = GameState.playerPosition.z + dz;
-
-    if (newX < 0 || newX >= CONFIG.GRID.WIDTH || newZ < 0 || newZ >= CONFIG.GRID.HEIGHT) return;
-
-    GameState.isHopping = true;
-    GameState.hopStartTime = Date.now();
-    GameState.hopStartPos = { x: playerMesh.position.x, y: playerMesh.position.y, z: playerMesh.position.z };
-    GameState.hopEndPos = { x: newX, y: 0, z: newZ };
+    if (Playback.active || !isGameClockRunning()) return;
+    pendingInputs.push({ type: 'move', dx, dz });
+}
 
-    // Rotation for isometric view - player faces direction of movement
+// Rotation for isometric view - player faces direction of movement
+function facePlayer(dx, dz) {
     // Camera is at 45 degrees, so we rotate accordingly
     // -Math.PI/4 offset accounts for isometric camera angle
     if (dz < 0) playerMesh.rotation.y = -Math.PI / 4;           // Forward (up on board)
     else if (dz > 0) playerMesh.rotation.y = Math.PI * 3 / 4;   // Back (down on board)
     else if (dx < 0) playerMesh.rotation.y = Math.PI / 4;       // Left
     else if (dx > 0) playerMesh.rotation.y = -Math.PI * 3 / 4;  // Right
+}
 
-    GameState.playerPosition.x = newX;
-    GameState.playerPosition.z = newZ;
+// Player pose from the last two ticks - the renderer blends between them
+const PlayerPose = {
+    previous: { x: 6, y: 0, z: 14, squash: 1, stretch: 1 },
+    current: { x: 6, y: 0, z: 14, squash: 1, stretch: 1 }
+};
 
-    playHopSound();
+// Place the player without blending from the old spot (level start, respawn)
+function snapPlayerPose(x, z) {
+    PlayerPose.current = { x, y: 0, z, squash: 1, stretch: 1 };
+    PlayerPose.previous = { ...PlayerPose.current };
 }
 
-function updateHopAnimation() {
-    if (!GameState.isHopping) return;
+// Work out the hop arc for the run's current tick
+function capturePlayerPose() {
+    const run = GameState.run;
+    PlayerPose.previous = { ...PlayerPose.current };
 
-    const elapsed = Date.now() - GameState.hopStartTime;
-    const progress = Math.min(elapsed / CONFIG.PLAYER.HOP_DURATION, 1);
+    if (!run.isHopping) {
+        PlayerPose.current = { x: run.playerPosition.x, y: 0, z: run.playerPosition.z, squash: 1, stretch: 1 };
+        return;
+    }
 
+    const progress = getHopProgress(run);
     const hopHeight = Math.sin(progress * Math.PI) * CONFIG.PLAYER.HOP_HEIGHT;
     const ease = progress * (2 - progress);
 
-    playerMesh.position.x = THREE.MathUtils.lerp(GameState.hopStartPos.x, GameState.hopEndPos.x, ease);
-    playerMesh.position.y = hopHeight;
-    playerMesh.position.z = THREE.MathUtils.lerp(GameState.hopStartPos.z, GameState.hopEndPos.z, ease);
-
-    // Squash and stretch for juicy feel
-    const squash = 1 + Math.sin(progress * Math.PI) * 0.15;
-    const stretch = 1 - Math.sin(progress * Math.PI) * 0.1;
-    playerMesh.scale.set(stretch, squash, stretch);
-
-    if (progress >= 1) {
-        GameState.isHopping = false;
-        playerMesh.position.set(GameState.hopEndPos.x, 0, GameState.hopEndPos.z);
-        playerMesh.scale.set(1, 1, 1);
-        collectItem(GameState.playerPosition.x, GameState.playerPosition.z);
-        checkLavaCollision();
-    }
+    PlayerPose.current = {
+        x: THREE.MathUtils.lerp(run.hopStartPos.x, run.hopEndPos.x, ease),
+        y: hopHeight,
+        z: THREE.MathUtils.lerp(run.hopStartPos.z, run.hopEndPos.z, ease),
+        // Squash and stretch for juicy feel
+        squash: 1 + Math.sin(progress * Math.PI) * 0.15,
+        stretch: 1 - Math.sin(progress * Math.PI) * 0.1
+    };
+}
+
+function renderPlayer(alpha) {
+    if (!playerMesh) return;
+
+    const { previous, current } = PlayerPose;
+    const lerp = THREE.MathUtils.lerp;
+
+    playerMesh.position.set(
+        lerp(previous.x, current.x, alpha),
+        lerp(previous.y, current.y, alpha),
+        lerp(previous.z, current.z, alpha)
+    );
+    const stretch = lerp(previous.stretch, current.stretch, alpha);
+    playerMesh.scale.set(stretch, lerp(previous.squash, current.squash, alpha), stretch);
 }
 
 // ============================================
 // GAME LOGIC
 // ============================================
-function playerHit() {
-    if (GameState.invincible) return;
-
-    GameState.livesRemaining--;
+// React to what the core reported during the last tick(s)
+function handleRunEvents() {
+    const events = drainEvents(GameState.run);
+    if (!Playback.active) trackAchievements(events);
+
+    events.forEach(event => {
+        switch (event.type) {
+            case 'sector_start':
+                snapPlayerPose(GameState.run.playerPosition.x, GameState.run.playerPosition.z);
+                if (playerMesh) playerMesh.rotation.y = 0;
+                // Reset camera to follow player on mobile
+                resetCameraToPlayer();
+                break;
+            case 'hop':
+                facePlayer(event.dx, event.dz);
+                playHopSound();
+                break;
+            case 'slide':
+                playHopSound();
+                break;
+            case 'collect':
+                playCollectSound();
+                break;
+            case 'hit':
+                showDamageFlash();
+                playHitSound();
+                break;
+            case 'shell':
+                playHitSound(); // No flash - the shell took it, and the blink shows the safe moment
+                break;
+            case 'respawn':
+                snapPlayerPose(event.x, event.z);
+                playerMesh.rotation.y = 0;
+                // Reset camera to follow respawned player
+                resetCameraToPlayer();
+                break;
+            case 'sector_clear':
+                showScorePopup(event.x, event.z, event.points);
+                // Playback rolls straight into the next sector
+                if (!Playback.active) setTimeout(() => levelComplete(event.points), 300);
+                break;
+            case 'game_over':
+                if (!Playback.active) gameOver();
+                break;
+        }
+    });
     updateHUD();
-    showDamageFlash();
-    playHitSound();
-
-    if (GameState.livesRemaining <= 0) {
-        gameOver();
-    } else {
-        respawnPlayer();
-    }
 }
 
-function respawnPlayer() {
-    GameState.playerPosition = { x: 6, z: 14 };
-    GameState.isHopping = false;
-    playerMesh.position.set(6, 0, 14);
-    playerMesh.rotation.y = 0;
-
-    // Reset camera to follow respawned player
-    resetCameraToPlayer();
+// Blink the player while invincible - follows the game clock so it freezes on pause
+function renderInvincibilityBlink() {
+    if (!playerMesh) return;
 
-    GameState.invincible = true;
-    GameState.invincibleUntil = Date.now() + 2500;
-
-    flashPlayer();
-}
-
-function flashPlayer() {
-    let flashes = 0;
-    const interval = setInterval(() => {
-        playerMesh.visible = !playerMesh.visible;
-        flashes++;
-        if (flashes >= 16) {
-            clearInterval(interval);
-            playerMesh.visible = true;
-        }
-    }, 150);
+    const run = GameState.run;
+    if (run && run.invincible) {
+        const remaining = run.invincibleUntil - run.time;
+        playerMesh.visible = Math.floor(remaining / CONFIG.PLAYER.FLASH_INTERVAL) % 2 === 0;
+    } else {
+        playerMesh.visible = true;
+    }
 }
 
 function showDamageFlash() {
@@ -1845,52 +1148,23 @@ function showDamageFlash() {
 }
 
 function initializeLevel() {
-    for (let x = 0; x < CONFIG.GRID.WIDTH; x++) {
-        for (let z = 0; z < CONFIG.GRID.HEIGHT; z++) {
-            setTileState(x, z, 'default');
-        }
-    }
-
-    generateSafeIslands();
-    spawnCollectibles();
-    generateLavaPatterns();
-
-    // Initialize time-based scoring
-    GameState.levelStartTime = Date.now();
-    GameState.currentLevelScore = GameState.maxLevelScore;
-
-    GameState.playerPosition = { x: 6, z: 14 };
-    if (playerMesh) {
-        playerMesh.position.set(6, 0, 14);
-        playerMesh.rotation.y = 0;
-    }
-
-    // Reset camera to follow player on mobile
-    resetCameraToPlayer();
-
-    GameState.isPlaying = true;
-    updateHUD();
+    beginSector(GameState.run);
+    handleRunEvents();
+    syncTiles();
 }
 
-function levelComplete() {
-    GameState.isPlaying = false;
-
-    if (GameState.currentLevel >= CONFIG.LEVELS.TOTAL) {
+function levelComplete(earnedScore) {
+    if (GameState.run.phase === 'won') {
         showWinScreen();
     } else {
-        showLevelCompleteScreen();
+        showLevelCompleteScreen(earnedScore);
     }
 }
 
 async function nextLevel() {
     document.getElementById('level-complete-screen').classList.add('hidden');
 
-    GameState.currentLevel++;
-    GameState.livesRemaining = CONFIG.PLAYER.START_LIVES;
-
-    GameState.lavaTiles.clear();
-    GameState.collectibleTiles.clear();
-    GameState.safeIslands.clear();
+    advanceSector(GameState.run);
 
     updateHUD();
     showLevelTransition();
@@ -1902,19 +1176,21 @@ async function nextLevel() {
 function showLevelTransition() {
     const transition = document.createElement('div');
     transition.className = 'level-transition';
-    transition.textContent = `SECTOR ${GameState.currentLevel}`;
+    transition.textContent = `SECTOR ${GameState.run.currentLevel}`;
     document.getElementById('game-container').appendChild(transition);
     setTimeout(() => transition.remove(), 1500);
 }
 
 function gameOver() {
-    GameState.isPlaying = false;
-    GameState.isGameOver = true;
+    const run = GameState.run;
     stopMusic();
+    finishReplay(GameState.replay, run);
 
-    const maxScore = CONFIG.LEVELS.TOTAL * GameState.maxLevelScore;
-    document.getElementById('final-score').textContent = `Score: ${GameState.totalScore}/${maxScore}`;
-    document.getElementById('final-level').textContent = `Reached Sector: ${GameState.currentLevel}`;
+    const maxScore = CONFIG.LEVELS.TOTAL * CONFIG.SCORING.MAX_LEVEL_SCORE;
+    document.getElementById('final-score').textContent = `Score: ${run.totalScore}/${maxScore}`;
+    document.getElementById('final-level').textContent = `Reached Sector: ${run.currentLevel}`;
+    document.getElementById('final-seed').textContent = `Seed: ${run.seed}`;
+    showPersonalBest('final-best', recordRunHistory(run));
 
     // Reset leaderboard UI for fresh submission
     if (window.resetGameOverLeaderboard) {
@@ -1924,17 +1200,36 @@ function gameOver() {
     document.getElementById('game-over-screen').classList.remove('hidden');
 }
 
-function showLevelCompleteScreen() {
-    const earnedScore = Math.max(1, GameState.currentLevelScore);
+// Keep the finished run in this browser's history (see history.js)
+function recordRunHistory(run) {
+    if (!window.RunHistory) return null;
+    return window.RunHistory.recordRun(run, { ranked: GameState.runToken !== null });
+}
+
+// "New personal best!" when the run beat the stored record, otherwise the record to beat
+function showPersonalBest(elementId, record) {
+    const element = document.getElementById(elementId);
+    element.classList.toggle('hidden', !record);
+    if (!record) return;
+
+    element.textContent = record.newBest ? '🎉 NEW PERSONAL BEST! 🎉' : `Personal best: ${record.best}`;
+    element.classList.toggle('new-best', record.newBest);
+}
+
+function showLevelCompleteScreen(earnedScore) {
     document.getElementById('level-score').textContent = `+${earnedScore} points!`;
     document.getElementById('level-complete-screen').classList.remove('hidden');
     playLevelCompleteChime(); // Play satisfying chime on level complete
 }
 
 function showWinScreen() {
+    const run = GameState.run;
     stopMusic();
-    const maxScore = CONFIG.LEVELS.TOTAL * GameState.maxLevelScore;
-    document.getElementById('win-score').textContent = `Final Score: ${GameState.totalScore}/${maxScore}`;
+    finishReplay(GameState.replay, run);
+    const maxScore = CONFIG.LEVELS.TOTAL * CONFIG.SCORING.MAX_LEVEL_SCORE;
+    document.getElementById('win-score').textContent = `Final Score: ${run.totalScore}/${maxScore}`;
+    document.getElementById('win-seed').textContent = `Seed: ${run.seed}`;
+    showPersonalBest('win-best', recordRunHistory(run));
     document.getElementById('win-screen').classList.remove('hidden');
     playVictoryFanfare(); // Play big win sound!
 }
@@ -1997,20 +1292,20 @@ function playVictoryFanfare() {
 let isStartingGame = false; // Guard against double-starting
 
 async function startGame() {
-    // Prevent double-starting
-    if (isStartingGame) return;
+    // Prevent double-starting (and starting before the sectors have loaded)
+    if (isStartingGame || SECTORS.length === 0) return;
     isStartingGame = true;
 
-    GameState.currentLevel = 1;
-    GameState.totalScore = 0;
-    GameState.livesRemaining = CONFIG.PLAYER.START_LIVES;
-    GameState.isGameOver = false;
-    GameState.isPlaying = false;
-    GameState.invincible = false;
-
-    GameState.lavaTiles.clear();
-    GameState.collectibleTiles.clear();
-    GameState.safeIslands.clear();
+    const session = await startRunSession();
+    GameState.runToken = session.token;
+    GameState.run = createRun({
+        sectors: SECTORS,
+        seed: session.seed,
+        character: GameState.selectedCharacter,
+        mode: GameState.mode
+    });
+    GameState.replay = createReplay(GameState.run);
+    resetGameClock();
 
     document.getElementById('start-screen').classList.add('hidden');
     document.getElementById('game-over-screen').classList.add('hidden');
@@ -2039,7 +1334,7 @@ function showTutorial() {
 
         const dismissTutorial = () => {
             tutorialPopup.classList.add('hidden');
-            GameState.tutorialShown = true;
+            markTutorialShown();
             okBtn.removeEventListener('click', dismissTutorial);
             okBtn.removeEventListener('touchend', touchHandler);
             document.removeEventListener('keydown', keyHandler);
@@ -2068,9 +1363,6 @@ function showTutorial() {
 
 function restartGame() {
     isStartingGame = false; // Reset guard for restart
-    GameState.lavaTiles.clear();
-    GameState.collectibleTiles.clear();
-    GameState.safeIslands.clear();
     startGame();
 }
 
@@ -2123,7 +1415,7 @@ function playTechnoLoop() {
     if (!GameState.musicPlaying || !audioContext) return;
 
     const now = audioContext.currentTime;
-    const level = GameState.currentLevel;
+    const level = GameState.run ? GameState.run.currentLevel : 1;
 
     // === 80s SYNTHWAVE SPY THEME - 120 BPM ===
     const bpm = 120;
@@ -2818,18 +2110,26 @@ function toggleMusic() {
 // UI/HUD
 // ============================================
 function updateHUD() {
-    document.getElementById('level-display').textContent = `Sector ${GameState.currentLevel}/${CONFIG.LEVELS.TOTAL}`;
-    document.getElementById('score-display').textContent = `Score: ${GameState.totalScore}`;
+    // Before the first run, show a fresh one
+    const run = GameState.run || {
+        currentLevel: 1,
+        totalScore: 0,
+        livesRemaining: CONFIG.PLAYER.START_LIVES,
+        currentLevelScore: CONFIG.SCORING.MAX_LEVEL_SCORE
+    };
+
+    document.getElementById('level-display').textContent = `Sector ${run.currentLevel}/${CONFIG.LEVELS.TOTAL}`;
+    document.getElementById('score-display').textContent = `Score: ${run.totalScore}`;
 
     const hearts = document.querySelectorAll('#lives-display .heart');
     hearts.forEach((heart, i) => {
-        heart.classList.toggle('lost', i >= GameState.livesRemaining);
+        heart.classList.toggle('lost', i >= run.livesRemaining);
     });
 
     // Update timer bar
     const timerBar = document.getElementById('timer-bar-fill');
     if (timerBar) {
-        const percentage = (GameState.currentLevelScore / GameState.maxLevelScore) * 100;
+        const percentage = (run.currentLevelScore / CONFIG.SCORING.MAX_LEVEL_SCORE) * 100;
         timerBar.style.width = `${percentage}%`;
 
         // Change color based on time remaining
@@ -2845,24 +2145,7 @@ function updateHUD() {
     // Update potential score display
     const potentialScore = document.getElementById('potential-score');
     if (potentialScore) {
-        potentialScore.textContent = `+${Math.max(1, GameState.currentLevelScore)}`;
-    }
-}
-
-function updateTimeBasedScore() {
-    if (!GameState.isPlaying || GameState.isPaused) return;
-
-    const elapsed = Date.now() - GameState.levelStartTime;
-
-    if (elapsed <= GameState.gracePeriod) {
-        // Within grace period - max score
-        GameState.currentLevelScore = GameState.maxLevelScore;
-    } else {
-        // Score decays after grace period
-        const decayElapsed = elapsed - GameState.gracePeriod;
-        const decayProgress = Math.min(decayElapsed / GameState.scoreDecayTime, 1);
-        GameState.currentLevelScore = Math.round(GameState.maxLevelScore * (1 - decayProgress));
-        GameState.currentLevelScore = Math.max(1, GameState.currentLevelScore); // Minimum 1 point
+        potentialScore.textContent = `+${Math.max(1, run.currentLevelScore)}`;
     }
 }
 
@@ -2903,7 +2186,7 @@ function setupTouchControls() {
 
     // Prevent scrolling during gameplay
     document.addEventListener('touchmove', (e) => {
-        if (GameState.isPlaying && !GameState.isPaused) {
+        if (isGameClockRunning() && !Playback.active) {
             e.preventDefault();
         }
     }, { passive: false });
@@ -2927,7 +2210,7 @@ function handleSwipe(touchEndX, touchEndY) {
         return;
     }
 
-    if (!GameState.isPlaying || GameState.isPaused || GameState.isCountingDown) {
+    if (!isGameClockRunning()) {
         return;
     }
 
@@ -2964,7 +2247,7 @@ function handleTap() {
     // Handle tutorial dismiss on tap
     if (!tutorialPopup.classList.contains('hidden')) {
         tutorialPopup.classList.add('hidden');
-        GameState.tutorialShown = true;
+        markTutorialShown();
         return;
     }
 }
@@ -2991,15 +2274,26 @@ function setupInputHandlers() {
     document.querySelectorAll('.character-option, .char-option').forEach(option => {
         option.addEventListener('click', (e) => {
             e.stopPropagation(); // Prevent startGame from triggering
+            if (option.classList.contains('locked')) {
+                showCharacterLocked(option.dataset.character);
+                return;
+            }
             document.querySelectorAll('.character-option, .char-option').forEach(o => o.classList.remove('selected'));
             option.classList.add('selected');
             GameState.selectedCharacter = option.dataset.character;
             console.log('Selected character:', GameState.selectedCharacter);
+            updateAbilityDescription();
         });
     });
 
 
     document.addEventListener('keydown', (e) => {
+        // Playback has its own keys - the run can't be steered
+        if (Playback.active) {
+            if (e.key === ' ' || e.key === 'Escape') { togglePlayback(); e.preventDefault(); }
+            return;
+        }
+
         if (e.key === 'Enter' || e.key === ' ') {
             const startScreen = document.getElementById('start-screen');
             const gameOverScreen = document.getElementById('game-over-screen');
@@ -3012,7 +2306,7 @@ function setupInputHandlers() {
             if (!winScreen.classList.contains('hidden')) { restartGame(); e.preventDefault(); return; }
         }
 
-        if (!GameState.isPlaying || GameState.isCountingDown) return;
+        if (!isRunInProgress() || GameState.isCountingDown) return;
 
         switch (e.key) {
             case 'ArrowUp': case 'w': case 'W': movePlayer(0, -1); e.preventDefault(); break;
@@ -3036,39 +2330,410 @@ function setupInputHandlers() {
     document.getElementById('next-level-btn').addEventListener('click', nextLevel);
     document.getElementById('play-again-btn').addEventListener('click', restartGame);
     document.getElementById('music-toggle').addEventListener('click', toggleMusic);
+    setupReplayControls();
+    setupAchievementGallery();
+    updateCharacterPicker();
+    setupModePicker();
+
+    // Pause when the tab is hidden so the game clock stays consistent on return
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden || !isGameClockRunning()) return;
+        if (Playback.active) setPlaybackPlaying(false);
+        else togglePause();
+    });
 }
 
 function togglePause() {
-    if (!GameState.isPlaying || GameState.isCountingDown) return;
+    if (!isRunInProgress() || GameState.isCountingDown) return;
 
     GameState.isPaused = !GameState.isPaused;
+    recordInput(GameState.replay, GameState.run.tick, { type: 'pause' });
     document.getElementById('pause-indicator').classList.toggle('hidden', !GameState.isPaused);
 
     if (GameState.isPaused) stopMusic();
     else startMusic();
 }
 
+// ============================================
+// SIMULATION TICK
+// ============================================
+// Advances game state by exactly one TICK_MS - no rendering here
+function simulateTick() {
+    if (Playback.active) {
+        const others = Playback.runner.step();
+        if (others.length > 0) flashPlaybackPause();
+    } else {
+        pendingInputs.forEach(input => recordInput(GameState.replay, GameState.run.tick, input));
+        stepRun(GameState.run, pendingInputs);
+        pendingInputs = [];
+    }
+
+    capturePlayerPose();
+    handleRunEvents();
+}
+
+// ============================================
+// REPLAYS (Download, load and play back runs)
+// ============================================
+// Playback feeds a recorded replay through the same core and renderer as a
+// live run. Scrubbing re-simulates from the first tick - it's fast enough
+// headless that there's no need to keep snapshots.
+const Playback = {
+    active: false,
+    playing: false,
+    speed: 1,
+    replay: null,
+    runner: null        // From createReplayRunner() - owns the run being shown
+};
+
+function downloadReplay() {
+    const replay = GameState.replay;
+    if (!replay) return;
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `magma-mayhem-${replay.seed}-${replay.character}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+async function loadReplayFile(file) {
+    const status = document.getElementById('replay-load-status');
+    status.textContent = '';
+
+    try {
+        const replay = validateReplay(JSON.parse(await file.text()));
+        if (!CONFIG.CHARACTERS[replay.character]) throw new Error(`Unknown character "${replay.character}"`);
+        startPlayback(replay);
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        status.textContent = "Couldn't read that replay file.";
+    }
+}
+
+function startPlayback(replay) {
+    if (SECTORS.length === 0) return;
+
+    Playback.active = true;
+    Playback.replay = replay;
+    resetGameClock();
+
+    document.getElementById('start-screen').classList.add('hidden');
+    document.getElementById('replay-controls').classList.remove('hidden');
+    document.getElementById('replay-scrubber').max = replay.ticks;
+
+    playerMesh = createPlayer(replay.character);
+    seekPlayback(0);
+    setPlaybackPlaying(true);
+}
+
+function stopPlayback() {
+    Playback.active = false;
+    Playback.playing = false;
+    Playback.replay = null;
+    Playback.runner = null;
+    GameState.run = null;
+    resetGameClock();
+
+    document.getElementById('replay-controls').classList.add('hidden');
+    document.getElementById('pause-indicator').classList.add('hidden');
+    document.getElementById('start-screen').classList.remove('hidden');
+
+    clearBoard();
+    snapPlayerPose(CONFIG.PLAYER.START_POSITION.x, CONFIG.PLAYER.START_POSITION.z);
+    updateHUD();
+}
+
+// Rebuild the run from the start and fast-forward it to the given tick
+function seekPlayback(tick) {
+    const runner = createReplayRunner(Playback.replay, SECTORS);
+    while (runner.run.tick < tick && !runner.isFinished()) {
+        runner.step();
+    }
+    drainEvents(runner.run);
+
+    Playback.runner = runner;
+    GameState.run = runner.run;
+    GameClock.accumulator = 0;
+
+    capturePlayerPose();
+    snapPlayerPose(PlayerPose.current.x, PlayerPose.current.z);
+    resetCameraToPlayer();
+    syncTiles();
+    updateHUD();
+    updatePlaybackControls();
+}
+
+function setPlaybackPlaying(playing) {
+    Playback.playing = playing;
+    updatePlaybackControls();
+}
+
+function togglePlayback() {
+    // Playing from the end starts over
+    if (Playback.runner.isFinished()) {
+        seekPlayback(0);
+        setPlaybackPlaying(true);
+    } else {
+        setPlaybackPlaying(!Playback.playing);
+    }
+}
+
+// The player paused here during the run - show it briefly
+function flashPlaybackPause() {
+    const indicator = document.getElementById('pause-indicator');
+    indicator.classList.remove('hidden');
+    setTimeout(() => indicator.classList.add('hidden'), 600);
+}
+
+function formatReplayTime(ticks) {
+    const seconds = Math.floor(ticks * TICK_MS / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updatePlaybackControls() {
+    const tick = GameState.run.tick;
+    const running = Playback.playing && !Playback.runner.isFinished();
+
+    document.getElementById('replay-play-btn').textContent = running ? '⏸' : '▶';
+    document.getElementById('replay-scrubber').value = tick;
+    document.getElementById('replay-time').textContent =
+        `${formatReplayTime(tick)} / ${formatReplayTime(Playback.replay.ticks)}`;
+}
+
+function setupReplayControls() {
+    const fileInput = document.getElementById('replay-file-input');
+    document.getElementById('watch-replay-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) loadReplayFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.getElementById('download-replay-btn').addEventListener('click', downloadReplay);
+    document.getElementById('win-download-replay-btn').addEventListener('click', downloadReplay);
+
+    document.getElementById('replay-play-btn').addEventListener('click', togglePlayback);
+    document.getElementById('replay-exit-btn').addEventListener('click', stopPlayback);
+    document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+        seekPlayback(Number(e.target.value));
+    });
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+        Playback.speed = Number(e.target.value);
+    });
+}
+
+// ============================================
+// ACHIEVEMENTS (Badges, unlock toasts and gallery)
+// ============================================
+// The rules are in core/achievements.mjs. Progress is kept on this device; the
+// server keeps its own for the player, counting only verified runs.
+const ACHIEVEMENTS_KEY = 'magmaMayhem.achievements';
+const ACHIEVEMENT_TOAST_DURATION = 4000;
+
+const achievementProgress = loadAchievementProgress();
+
+function loadAchievementProgress() {
+    try {
+        return { ...createAchievementProgress(), ...JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY)) };
+    } catch (error) {
+        return createAchievementProgress();
+    }
+}
+
+function saveAchievementProgress() {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievementProgress));
+    } catch (error) {
+        console.error('Error saving achievements:', error); // Storage full or disabled
+    }
+}
+
+// Count the run's latest events and announce anything they unlocked
+function trackAchievements(events) {
+    if (events.length === 0) return;
+
+    events.forEach(event => {
+        trackAchievementEvent(achievementProgress, GameState.run, event).forEach(id => {
+            const achievement = ACHIEVEMENTS.find(achievement => achievement.id === id);
+            showAchievementToast(achievement.icon, 'ACHIEVEMENT UNLOCKED', achievement.name);
+            unlockCharacters(id);
+        });
+    });
+    saveAchievementProgress();
+}
+
+function showAchievementToast(icon, title, name) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    toast.innerHTML = `
+        <span class="achievement-icon">${icon}</span>
+        <span class="achievement-toast-text">
+            <span class="achievement-toast-title">${title}</span>
+            <span class="achievement-name">${name}</span>
+        </span>
+    `;
+    document.getElementById('achievement-toasts').appendChild(toast);
+    setTimeout(() => toast.remove(), ACHIEVEMENT_TOAST_DURATION);
+}
+
+function renderAchievementGallery() {
+    const unlockedCount = ACHIEVEMENTS.filter(achievement => achievementProgress.unlocked[achievement.id]).length;
+    document.getElementById('achievements-summary').textContent = `${unlockedCount}/${ACHIEVEMENTS.length} UNLOCKED`;
+
+    document.getElementById('achievements-gallery').innerHTML = ACHIEVEMENTS.map(achievement => {
+        const unlockedAt = achievementProgress.unlocked[achievement.id];
+        let status = 'LOCKED';
+        if (unlockedAt) {
+            status = new Date(unlockedAt).toLocaleDateString();
+        } else if (achievement.progress) {
+            const [done, goal] = achievement.progress(achievementProgress);
+            status = `${done}/${goal}`;
+        }
+        return `
+            <div class="achievement ${unlockedAt ? 'unlocked' : 'locked'}">
+                <span class="achievement-icon">${unlockedAt ? achievement.icon : '🔒'}</span>
+                <span class="achievement-name">${achievement.name}</span>
+                <span class="achievement-description">${achievement.description}</span>
+                <span class="achievement-status">${status}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function setupAchievementGallery() {
+    const overlay = document.getElementById('achievements-overlay');
+    document.getElementById('achievements-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderAchievementGallery();
+        overlay.classList.remove('hidden');
+    });
+    document.getElementById('close-achievements-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        overlay.classList.add('hidden');
+    });
+}
+
+// ============================================
+// CHARACTER UNLOCKS (Locked options on the start screen)
+// ============================================
+// Characters with unlockedBy in CONFIG.CHARACTERS can't be picked until that
+// achievement is earned on this device
+function characterOption(character) {
+    return document.querySelector(`.char-option[data-character="${character}"]`);
+}
+
+function unlockAchievement(character) {
+    return ACHIEVEMENTS.find(achievement => achievement.id === CONFIG.CHARACTERS[character].unlockedBy);
+}
+
+function updateCharacterPicker() {
+    Object.entries(CONFIG.CHARACTERS).forEach(([character, { unlockedBy }]) => {
+        const option = characterOption(character);
+        if (!option || !unlockedBy) return;
+
+        const locked = !isCharacterUnlocked(achievementProgress, character);
+        option.classList.toggle('locked', locked);
+        option.title = locked ? `Locked - ${unlockAchievement(character).description} to unlock` : '';
+    });
+}
+
+// Picking a locked character says what unlocks it instead
+function showCharacterLocked(character) {
+    showAchievementToast('🔒', 'LOCKED', unlockAchievement(character).description);
+}
+
+// Announce and free up the characters an achievement just unlocked
+function unlockCharacters(achievementId) {
+    Object.entries(CONFIG.CHARACTERS)
+        .filter(([, { unlockedBy }]) => unlockedBy === achievementId)
+        .forEach(([character]) => {
+            const option = characterOption(character);
+            showAchievementToast('🔓', 'CHARACTER UNLOCKED', option ? option.querySelector('span').textContent : character);
+        });
+    updateCharacterPicker();
+}
+
+// ============================================
+// GAME MODES (Classic or character abilities)
+// ============================================
+// Abilities mode gives each character the trait from CONFIG.CHARACTERS (see
+// getAbility in core/run.mjs); its scores go on boards of their own
+function setupModePicker() {
+    document.querySelectorAll('.char-option').forEach(option => {
+        const ability = getAbility(option.dataset.character, 'abilities');
+        if (!ability.name) return;
+
+        const label = document.createElement('span');
+        label.className = 'char-ability';
+        label.textContent = ability.name;
+        option.appendChild(label);
+    });
+
+    document.querySelectorAll('.mode-option').forEach(option => {
+        option.addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent startGame from triggering
+            selectGameMode(option.dataset.mode);
+        });
+    });
+    selectGameMode(GameState.mode);
+}
+
+function selectGameMode(mode) {
+    GameState.mode = mode;
+    try {
+        localStorage.setItem(GAME_MODE_KEY, mode);
+    } catch (error) {
+        // Storage disabled - back to classic next visit
+    }
+
+    document.querySelectorAll('.mode-option').forEach(option => {
+        option.classList.toggle('selected', option.dataset.mode === mode);
+    });
+    document.querySelector('.vintage-characters').classList.toggle('abilities', mode === 'abilities');
+    updateAbilityDescription();
+}
+
+// What the picked character can do, under the picker - abilities mode only
+function updateAbilityDescription() {
+    const element = document.getElementById('ability-description');
+    const ability = getAbility(GameState.selectedCharacter, GameState.mode);
+    element.classList.toggle('hidden', !ability.name);
+    element.textContent = ability.name ? `${ability.name}: ${ability.description}` : '';
+}
+
 // ============================================
 // ANIMATION LOOP
 // ============================================
 function animate() {
     requestAnimationFrame(animate);
 
-    if (GameState.invincible && Date.now() > GameState.invincibleUntil) {
-        GameState.invincible = false;
+    const alpha = advanceGameClock(clock.getDelta() * 1000);
+
+    renderPlayer(alpha);
+    renderInvincibilityBlink();
+
+    // Once a sector is laid out the board mirrors the run (the countdown owns it before that)
+    if (GameState.run && GameState.run.phase !== 'ready') {
+        syncTiles();
     }
 
-    if (GameState.isPlaying && !GameState.isPaused && !GameState.isCountingDown) {
-        updateLavaPatterns(clock.getDelta());
-        updateHopAnimation();
+    if (Playback.active) updatePlaybackControls();
+
+    if (isGameClockRunning()) {
         updateCameraFollow();
-        updateTimeBasedScore();
         updateHUD();
 
+        const run = GameState.run;
         const time = Date.now();
 
         // Animate collectible tiles
-        GameState.collectibleTiles.forEach(key => {
+        run.collectibleTiles.forEach(key => {
             const [x, z] = key.split(',').map(Number);
             const tile = tilesMeshes[x][z];
             if (tile) {
@@ -3077,7 +2742,7 @@ function animate() {
         });
 
         // Animate safe islands
-        GameState.safeIslands.forEach(key => {
+        run.safeIslands.forEach(key => {
             const [x, z] = key.split(',').map(Number);
             const tile = tilesMeshes[x][z];
             tile.material.emissiveIntensity = 0.35 + Math.sin(time / 400 + x * 0.5 + z * 0.5) * 0.1;
@@ -3090,13 +2755,20 @@ function animate() {
 // ============================================
 // INITIALIZATION
 // ============================================
-function init() {
+async function init() {
     initThreeJS();
     initAudio();
     createTileGrid();
     setupInputHandlers();
     setupTouchControls();
     showMobileHint();
+
+    try {
+        await loadSectors();
+    } catch (error) {
+        console.error('Error loading sectors:', error);
+    }
+
     updateHUD();
     animate();
     console.log('Time Mission: Magma Mayhem initialized!');
@@ -0,0 +1,243 @@
+// ============================================
+// RUN HISTORY (Kept in this browser)
+// ============================================
+// Every finished run is stored in localStorage with its per-sector times, along
+// with personal bests for each character and each sector. Nothing here goes to
+// the server. Uses CHARACTER_ICONS, ABILITIES_MARK, escapeHtml and formatSectorTime
+// from leaderboard.js.
+const HISTORY_KEY = 'magmaMayhem.history';
+const MAX_HISTORY_RUNS = 200;   // Oldest runs go first - the bests are kept separately
+const CHART_RUNS = 50;
+const RECENT_HISTORY_RUNS = 10;
+
+// runs: oldest first, each { date, character, mode, score, level, won, seed, ranked, sectors }
+// with sectors [{ sector, time, points, cleared }]. characterBests: character -> { score,
+// level, date }. sectorBests: sector number -> { time, character, date }. Those are for
+// classic runs - abilities mode runs have their own in abilities, as on the leaderboard.
+function emptyHistory() {
+    return { runs: [], characterBests: {}, sectorBests: {}, abilities: { characterBests: {}, sectorBests: {} } };
+}
+
+function loadHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return history && Array.isArray(history.runs) ? { ...emptyHistory(), ...history } : emptyHistory();
+    } catch (error) {
+        return emptyHistory();
+    }
+}
+
+function saveHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving run history:', error); // Storage full or disabled
+    }
+}
+
+// Best score with any character (bests is the history or its abilities), or null before the first run
+function bestScore(bests) {
+    const scores = Object.values(bests.characterBests).map(best => best.score);
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+// Add a finished run (GameState.run) to the history and update the bests for its mode.
+// Returns { best, newBest, newSectorBests }: best is the personal best score after this
+// run, newBest whether this run beat the one before it (never on the very first run)
+// and newSectorBests the sectors it set a best time in.
+function recordRun(run, { ranked }) {
+    const history = loadHistory();
+    const bests = run.mode === 'abilities' ? history.abilities : history;
+    const date = new Date().toISOString();
+    const previousBest = bestScore(bests);
+    const sectors = run.breakdown.map(({ sector, time, points, cleared }) => ({ sector, time, points, cleared }));
+
+    history.runs.push({
+        date,
+        character: run.character,
+        mode: run.mode,
+        score: run.totalScore,
+        level: run.currentLevel,
+        won: run.phase === 'won',
+        seed: run.seed,
+        ranked,
+        sectors
+    });
+    history.runs = history.runs.slice(-MAX_HISTORY_RUNS);
+
+    const characterBest = bests.characterBests[run.character];
+    if (!characterBest || run.totalScore > characterBest.score) {
+        bests.characterBests[run.character] = { score: run.totalScore, level: run.currentLevel, date };
+    }
+
+    const newSectorBests = [];
+    sectors.filter(stats => stats.cleared).forEach(({ sector, time }) => {
+        const sectorBest = bests.sectorBests[sector];
+        if (!sectorBest || time < sectorBest.time) {
+            bests.sectorBests[sector] = { time, character: run.character, date };
+            newSectorBests.push(sector);
+        }
+    });
+
+    saveHistory(history);
+    return {
+        best: bestScore(bests),
+        newBest: previousBest !== null && run.totalScore > previousBest,
+        newSectorBests
+    };
+}
+
+// ============================================
+// HISTORY SCREEN (Charts and bests)
+// ============================================
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+const CHART_PADDING = 6;
+
+// Line chart of values in the order they happened, with a dashed line for the best so far.
+// SVG attributes only - the CSP doesn't allow inline styles.
+function renderChart(values, { title, max }) {
+    if (values.length < 2) return '';
+
+    const top = Math.max(max, 1);
+    const x = i => CHART_PADDING + i * (CHART_WIDTH - 2 * CHART_PADDING) / (values.length - 1);
+    const y = value => CHART_HEIGHT - CHART_PADDING - value * (CHART_HEIGHT - 2 * CHART_PADDING) / top;
+    const points = values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+    let bestSoFar = 0;
+    const bestPoints = values.map((value, i) => {
+        bestSoFar = Math.max(bestSoFar, value);
+        return `${x(i).toFixed(1)},${y(bestSoFar).toFixed(1)}`;
+    }).join(' ');
+
+    return `
+        <div class="history-chart">
+            <div class="history-chart-title">${title}<span>LAST ${values.length} RUNS · TOP ${top}</span></div>
+            <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${title}">
+                <line x1="0" y1="${y(0)}" x2="${CHART_WIDTH}" y2="${y(0)}" stroke="#335577" stroke-width="1"/>
+                <polyline points="${bestPoints}" fill="none" stroke="#ffcc00" stroke-width="1" stroke-dasharray="4 3"/>
+                <polyline points="${points}" fill="none" stroke="#00ffff" stroke-width="2"/>
+                ${values.map((value, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2" fill="#00ffff"/>`).join('')}
+            </svg>
+        </div>
+    `;
+}
+
+// Tables of the best score with each character and best time in each sector - for
+// classic runs or, with mark, abilities mode ones
+function renderBests(bests, runs, sectorNames, mark = '') {
+    const characterRows = Object.entries(bests.characterBests)
+        .sort(([, a], [, b]) => b.score - a.score)
+        .map(([character, best]) => `
+            <tr>
+                <td>${CHARACTER_ICONS[character] || '🎮'}</td>
+                <td>${best.score}</td>
+                <td>S${best.level}</td>
+                <td>${runs.filter(run => run.character === character).length}</td>
+            </tr>
+        `).join('');
+
+    const sectorRows = Object.entries(bests.sectorBests)
+        .sort(([a], [b]) => a - b)
+        .map(([sector, best]) => `
+            <tr>
+                <td class="sector-name">S${sector} ${escapeHtml(sectorNames[sector - 1] || '')}</td>
+                <td>${formatSectorTime(best.time)}</td>
+                <td>${CHARACTER_ICONS[best.character] || '🎮'}</td>
+            </tr>
+        `).join('');
+
+    if (characterRows === '') return '';
+    return `
+        <table class="entry-breakdown">
+            <thead><tr><th>${mark}CHAR</th><th>BEST</th><th>SECTOR</th><th>RUNS</th></tr></thead>
+            <tbody>${characterRows}</tbody>
+        </table>
+        ${sectorRows === ''
+            ? '<p class="no-scores">Clear a sector to set a best time.</p>'
+            : `<table class="entry-breakdown">
+                <thead><tr><th>${mark}SECTOR</th><th>BEST TIME</th><th>CHAR</th></tr></thead>
+                <tbody>${sectorRows}</tbody>
+            </table>`}
+    `;
+}
+
+function renderHistory(history) {
+    const runs = history.runs;
+    if (runs.length === 0) {
+        return '<p class="no-scores">No runs yet. Play a mission to start your history!</p>';
+    }
+
+    const sectorNames = window.GameState ? window.GameState.sectorNames : [];
+    const totalSectors = sectorNames.length || Math.max(...runs.map(run => run.level));
+    const charted = runs.slice(-CHART_RUNS);
+    const abilityRuns = runs.filter(run => run.mode === 'abilities');
+    const stat = (value, label) => `
+        <div class="my-stats-stat">
+            <span class="my-stats-value">${value}</span>
+            <span class="my-stats-label">${label}</span>
+        </div>
+    `;
+
+    const recentRows = runs.slice(-RECENT_HISTORY_RUNS).reverse().map(run => `
+        <tr>
+            <td>${new Date(run.date).toLocaleDateString()}</td>
+            <td>${CHARACTER_ICONS[run.character] || '🎮'}${run.mode === 'abilities' ? ABILITIES_MARK : ''}</td>
+            <td>${run.won ? '🏆' : `S${run.level}`}</td>
+            <td>${run.score}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="my-stats-grid">
+            ${stat(runs.length, 'RUNS')}
+            ${stat(bestScore(history) ?? '-', 'BEST SCORE')}
+            ${stat(`S${Math.max(...runs.map(run => run.level))}`, 'FURTHEST')}
+        </div>
+        ${renderChart(charted.map(run => run.score), { title: 'SCORE', max: Math.max(...charted.map(run => run.score)) })}
+        ${renderChart(charted.map(run => run.level), { title: 'SECTOR REACHED', max: totalSectors })}
+        ${renderBests(history, runs.filter(run => run.mode !== 'abilities'), sectorNames)}
+        ${renderBests(history.abilities, abilityRuns, sectorNames, ABILITIES_MARK)}
+        <table class="entry-breakdown">
+            <thead><tr><th>DATE</th><th>CHAR</th><th>SECTOR</th><th>SCORE</th></tr></thead>
+            <tbody>${recentRows}</tbody>
+        </table>
+    `;
+}
+
+function showHistory() {
+    document.getElementById('history').innerHTML = renderHistory(loadHistory());
+    document.getElementById('history-overlay').classList.remove('hidden');
+}
+
+function hideHistory() {
+    document.getElementById('history-overlay').classList.add('hidden');
+}
+
+function initHistory() {
+    const historyBtn = document.getElementById('history-btn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showHistory();
+        });
+    }
+
+    const closeHistoryBtn = document.getElementById('close-history-btn');
+    if (closeHistoryBtn) {
+        closeHistoryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideHistory();
+        });
+    }
+}
+
+// Expose for game.js to record finished runs
+window.RunHistory = { recordRun };
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initHistory);
+} else {
+    initHistory();
+}
@@ -2,15 +2,96 @@
 // LEADERBOARD FUNCTIONALITY
 // ============================================
 
+// ============================================
+// API BASE URL (Where the leaderboard server lives)
+// ============================================
+// First match wins: <meta name="leaderboard-api" content="...">, apiBaseUrl in a
+// config.json served next to the game (empty means this page's own origin), then this
+// origin on localhost and the hosted server anywhere else. ?api= on the page URL points
+// the game somewhere else for testing, but only on localhost or at an allowed origin,
+// and the player token never goes anywhere but the configured server.
+const HOSTED_API_BASE_URL = 'https://magma-mayhem.onrender.com';
+const ALLOWED_API_ORIGINS = [HOSTED_API_BASE_URL];
+// How long a new run waits for its token before it's played unranked (a sleeping host can take a minute)
+const START_RUN_TIMEOUT = 5000;
+
+function isLocalPage() {
+    return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+}
+
+async function findConfiguredApiBaseUrl() {
+    const meta = document.querySelector('meta[name="leaderboard-api"]');
+    if (meta && meta.content) return meta.content;
+
+    try {
+        const response = await fetch('config.json', { cache: 'no-store' });
+        if (response.ok) {
+            const config = await response.json();
+            if (typeof config.apiBaseUrl === 'string') return config.apiBaseUrl || window.location.origin;
+        }
+    } catch (error) {
+        // No config.json (or it isn't JSON) - use the defaults
+    }
+
+    return isLocalPage() ? window.location.origin : HOSTED_API_BASE_URL;
+}
+
+// The ?api= override, or null if there isn't one this page may use
+function readApiOverride() {
+    const fromQuery = new URLSearchParams(window.location.search).get('api');
+    if (!fromQuery) return null;
+    try {
+        const { origin } = new URL(fromQuery);
+        if (isLocalPage() || ALLOWED_API_ORIGINS.includes(origin)) return fromQuery;
+    } catch (error) {
+        // Not a URL
+    }
+    console.warn(`Ignoring ?api=${fromQuery}`);
+    return null;
+}
+
+const originOf = url => new URL(url, window.location.href).origin;
+
+// { url, configured } - configured is false when ?api= sent us to another origin
+async function findApiBaseUrl() {
+    const configuredUrl = await findConfiguredApiBaseUrl();
+    const override = readApiOverride();
+    if (!override) return { url: configuredUrl, configured: true };
+    return { url: override, configured: originOf(override) === originOf(configuredUrl) };
+}
+
 const LeaderboardAPI = {
-    // Use Render backend for API calls, fallback to local origin for development
-    baseUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-        ? window.location.origin
-        : 'https://magma-mayhem.onrender.com',
+    baseUrl: null,          // Set once getBaseUrl() has resolved
+    baseUrlRequest: null,
+    isConfiguredServer: false, // Whether baseUrl is the configured server - only it sees the player token
+
+    // Every request waits on this, so the first one looks the URL up and the rest reuse it
+    getBaseUrl() {
+        if (!this.baseUrlRequest) {
+            this.baseUrlRequest = findApiBaseUrl().then(({ url, configured }) => {
+                this.baseUrl = url.replace(/\/+$/, '');
+                this.isConfiguredServer = configured;
+                console.log(`Leaderboard API at ${this.baseUrl}${configured ? '' : ' (not the configured server - scores go in anonymously)'}`);
+                return this.baseUrl;
+            });
+        }
+        return this.baseUrlRequest;
+    },
+
+    // Query string for the board filters - window: 'today', 'week', 'month' or 'all';
+    // board: 'score' or 'furthest'; character: one character's runs, or '' for everyone;
+    // mode: 'classic' (the server's default) or 'abilities'
+    boardQuery({ window: boardWindow = 'all', board, character, mode } = {}) {
+        const params = new URLSearchParams({ window: boardWindow });
+        if (board) params.set('board', board);
+        if (character) params.set('character', character);
+        if (mode) params.set('mode', mode);
+        return params.toString();
+    },
 
-    async getLeaderboard() {
+    async getLeaderboard(filters) {
         try {
-            const response = await fetch(`${this.baseUrl}/api/leaderboard`);
+            const response = await fetch(`${await this.getBaseUrl()}/api/leaderboard?${this.boardQuery(filters)}`);
             if (!response.ok) throw new Error('Failed to fetch leaderboard');
             return await response.json();
         } catch (error) {
@@ -19,19 +100,158 @@ const LeaderboardAPI = {
         }
     },
 
-    async submitScore(name, score, level, character) {
+    // Quickest clears of one sector, each with its time in ms
+    async getSectorTimes(sector, filters) {
+        try {
+            const response = await fetch(`${await this.getBaseUrl()}/api/leaderboard/sectors/${sector}?${this.boardQuery(filters)}`);
+            if (!response.ok) throw new Error('Failed to fetch sector times');
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching sector times:', error);
+            return [];
+        }
+    },
+
+    // Server-Sent Events URL that follows a board - the same filters as getLeaderboard,
+    // or board 'sectors' plus a sector number for that sector's best times.
+    // Only call this once a request has resolved the base URL.
+    streamUrl({ sector, ...filters }) {
+        const params = new URLSearchParams(this.boardQuery(filters));
+        if (filters.board === 'sectors') params.set('sector', sector);
+        return `${this.baseUrl}/api/leaderboard/stream?${params}`;
+    },
+
+    // One entry with its per-sector breakdown, or null on failure
+    async getEntry(id) {
+        try {
+            const response = await fetch(`${await this.getBaseUrl()}/api/leaderboard/entries/${id}`);
+            if (!response.ok) throw new Error('Failed to fetch entry');
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching entry:', error);
+            return null;
+        }
+    },
+
+    // An entry and its neighbours - returns { rank, entries }, or null on failure
+    async getEntriesAround(id, span = 2) {
+        try {
+            const response = await fetch(`${await this.getBaseUrl()}/api/leaderboard/around/${id}?span=${span}`);
+            if (!response.ok) throw new Error('Failed to fetch entries');
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching entries around:', error);
+            return null;
+        }
+    },
+
+    // Start a ranked run - returns { token, seed }, or null if the server can't be reached
+    // or doesn't answer within START_RUN_TIMEOUT
+    async startRun() {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), START_RUN_TIMEOUT);
         try {
-            const response = await fetch(`${this.baseUrl}/api/leaderboard`, {
+            const response = await fetch(`${await this.getBaseUrl()}/api/runs`, { method: 'POST', signal: controller.signal });
+            if (!response.ok) throw new Error('Failed to start run');
+            return await response.json();
+        } catch (error) {
+            console.error('Error starting run:', error);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // submission is { key, name, score, level, character, mode, replay, runToken, breakdown }. The replay
+    // lets the server re-simulate the run and mark the score verified; breakdown is the run's time,
+    // points, hits and hops for each sector played; key is sent as the Idempotency-Key so a retry
+    // can't make a second entry. Resolves to the server's { success, id, rank, held } - held if the
+    // name is waiting for review - or to { success: false, error, field, retryable }: field is 'name'
+    // when the name was turned down, retryable if the score never got a proper answer.
+    // When the server says to slow down the failure also has rateLimited and retryAfter (seconds),
+    // and banned if that's because of too many invalid scores rather than too many scores.
+    // The device's player token goes with the score; the first score gets one back to keep.
+    // Scores sent anywhere but the configured server go without it, and don't keep one either.
+    async submitScore({ key, ...submission }) {
+        try {
+            const url = `${await this.getBaseUrl()}/api/leaderboard`;
+            const player = this.isConfiguredServer ? loadPlayer() : null;
+            const response = await fetch(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, score, level, character })
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+                body: JSON.stringify({ ...submission, playerToken: player ? player.token : undefined })
             });
-            if (!response.ok) throw new Error('Failed to submit score');
-            return await response.json();
+            if (response.ok) {
+                const result = await response.json();
+                if (result.player && this.isConfiguredServer) savePlayer(result.player);
+                return result;
+            }
+
+            const body = await response.json().catch(() => ({}));
+            if (response.status === 429) {
+                const retryAfter = Number(response.headers.get('Retry-After')) || body.retryAfter || 60;
+                return {
+                    success: false,
+                    error: body.error || 'Too many scores submitted',
+                    retryable: true,
+                    rateLimited: true,
+                    banned: body.code === 'banned',
+                    retryAfter
+                };
+            }
+            return {
+                success: false,
+                error: body.error || 'Failed to submit score',
+                field: body.field,
+                retryable: response.status >= 500
+            };
         } catch (error) {
             console.error('Error submitting score:', error);
+            return { success: false, error: 'Could not reach the leaderboard', retryable: true };
+        }
+    },
+
+    // A player's profile - { id, name, claimedName, runs, personalBests, favouriteCharacter,
+    // recentRuns, achievements }, personalBests keyed by mode - or { missing: true } if they have nothing on the boards,
+    // null on failure
+    async getPlayer(id) {
+        try {
+            const response = await fetch(`${await this.getBaseUrl()}/api/players/${id}`);
+            if (response.status === 404) return { missing: true };
+            if (!response.ok) throw new Error('Failed to fetch player');
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching player:', error);
             return null;
         }
+    },
+
+    // Claim a name for this device's player (method 'PUT'), or let it go ('DELETE').
+    // Resolves to { success, name } or { success: false, error, field }.
+    async playerName(player, method, name = undefined) {
+        try {
+            const baseUrl = await this.getBaseUrl();
+            if (!this.isConfiguredServer) return { success: false, error: 'Names can only be claimed on the main leaderboard' };
+            const response = await fetch(`${baseUrl}/api/players/${player.id}/name`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${player.token}` },
+                body: name !== undefined ? JSON.stringify({ name }) : undefined
+            });
+            const body = await response.json().catch(() => ({}));
+            if (response.ok) return body;
+            return { success: false, error: body.error || 'Failed to update name', field: body.field };
+        } catch (error) {
+            console.error('Error updating player name:', error);
+            return { success: false, error: 'Could not reach the leaderboard' };
+        }
+    },
+
+    claimName(player, name) {
+        return this.playerName(player, 'PUT', name);
+    },
+
+    releaseName(player) {
+        return this.playerName(player, 'DELETE');
     }
 };
 
@@ -40,11 +260,43 @@ const CHARACTER_ICONS = {
     chicken: '🐔',
     banana: '🍌',
     skier: '⛷️',
-    turtle: '🐢'
+    turtle: '🐢',
+    delorean: '🚗'
 };
 
-// Render leaderboard entries to a container
-function renderLeaderboard(entries, containerId, highlightRank = null) {
+// Marks abilities mode runs in lists that mix both modes
+const ABILITIES_MARK = '<span title="Abilities mode">✨</span>';
+
+// What each board ranks by
+const BOARD_VALUES = {
+    score: entry => entry.score,
+    furthest: entry => `S${entry.level}`,
+    sectors: entry => `${(entry.time / 1000).toFixed(2)}s`
+};
+
+function rankMedal(rank) {
+    return rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `#${rank}`;
+}
+
+function renderLeaderboardEntry(entry, highlightRank, formatValue) {
+    const rank = entry.rank;
+    const isHighlighted = highlightRank === rank;
+    const medal = rankMedal(rank);
+    const charIcon = CHARACTER_ICONS[entry.character] || '🎮';
+
+    return `
+        <div class="leaderboard-entry ${isHighlighted ? 'highlighted' : ''} ${rank <= 3 ? 'top-three' : ''}" data-id="${entry.id}">
+            <span class="entry-rank">${medal}</span>
+            <span class="entry-char">${charIcon}</span>
+            <span class="entry-name">${escapeHtml(entry.name)}${entry.verified ? '<span class="entry-verified" title="Verified by replay">✓</span>' : ''}</span>
+            <span class="entry-score">${formatValue(entry)}</span>
+        </div>
+    `;
+}
+
+// Render leaderboard entries to a container. Entries from further down the
+// board (the player's spot outside the top 10) go below a gap.
+function renderLeaderboard(entries, containerId, { highlightRank = null, lowerEntries = [], formatValue = BOARD_VALUES.score } = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
@@ -53,25 +305,103 @@ function renderLeaderboard(entries, containerId, highlightRank = null) {
         return;
     }
 
-    const html = entries.map((entry, index) => {
-        const rank = index + 1;
-        const isHighlighted = highlightRank === rank;
-        const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `#${rank}`;
-        const charIcon = CHARACTER_ICONS[entry.character] || '🎮';
+    const lastRank = entries[entries.length - 1].rank;
+    const lower = lowerEntries.filter(entry => entry.rank > lastRank);
 
-        return `
-            <div class="leaderboard-entry ${isHighlighted ? 'highlighted' : ''} ${rank <= 3 ? 'top-three' : ''}">
-                <span class="entry-rank">${medal}</span>
-                <span class="entry-char">${charIcon}</span>
-                <span class="entry-name">${escapeHtml(entry.name)}</span>
-                <span class="entry-score">${entry.score}</span>
-            </div>
-        `;
-    }).join('');
+    let html = entries.map(entry => renderLeaderboardEntry(entry, highlightRank, formatValue)).join('');
+    if (lower.length > 0) {
+        if (lower[0].rank > lastRank + 1) html += '<div class="leaderboard-gap">⋯</div>';
+        html += lower.map(entry => renderLeaderboardEntry(entry, highlightRank, formatValue)).join('');
+    }
 
     container.innerHTML = html;
 }
 
+// Re-render a list, sliding rows that were already on it from their old spot (FLIP:
+// measure, re-render, offset each row back where it was, then transition the offset away)
+function renderLeaderboardAnimated(containerId, render) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const before = new Map();
+    container.querySelectorAll('.leaderboard-entry').forEach(row => {
+        before.set(row.dataset.id, row.getBoundingClientRect().top);
+    });
+
+    render();
+
+    container.querySelectorAll('.leaderboard-entry').forEach(row => {
+        const top = before.get(row.dataset.id);
+        if (top === undefined) {
+            if (before.size > 0) row.classList.add('entry-new');
+            return;
+        }
+        const offset = top - row.getBoundingClientRect().top;
+        if (offset === 0) return;
+
+        row.style.transition = 'none';
+        row.style.transform = `translateY(${offset}px)`;
+        row.getBoundingClientRect(); // Lay the row out at its old spot before transitioning
+        row.style.transition = '';
+        row.classList.add('entry-moving');
+        if (offset > 0) row.classList.add('entry-moved-up');
+        row.style.transform = '';
+    });
+}
+
+// ============================================
+// ENTRY DETAIL (Per-sector breakdown of one run)
+// ============================================
+function formatSectorTime(ms) {
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function renderEntryDetail(entry) {
+    const sectorNames = window.GameState ? window.GameState.sectorNames : [];
+    const outcome = (entry.won ? 'Cleared every sector' : `Reached sector ${entry.level}`) +
+        (entry.mode === 'abilities' ? ' · Abilities mode' : '');
+
+    const rows = entry.breakdown.map(stats => `
+        <tr class="${stats.cleared ? '' : 'sector-failed'}">
+            <td class="sector-name">S${stats.sector} ${escapeHtml(sectorNames[stats.sector - 1] || '')}</td>
+            <td>${formatSectorTime(stats.time)}</td>
+            <td>${stats.cleared ? stats.points : '💀'}</td>
+            <td>${stats.hits}</td>
+            <td>${stats.hops}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="entry-detail-header">
+            <span class="entry-rank">${rankMedal(entry.rank)}</span>
+            <span class="entry-char">${CHARACTER_ICONS[entry.character] || '🎮'}</span>
+            <span class="entry-name">${escapeHtml(entry.name)}${entry.verified ? '<span class="entry-verified" title="Verified by replay">✓</span>' : ''}</span>
+            <span class="entry-score">${entry.score}</span>
+        </div>
+        <p class="entry-detail-outcome">${outcome} · ${new Date(entry.created_at).toLocaleDateString()}</p>
+        ${entry.breakdown.length === 0
+            ? '<p class="no-scores">No sector breakdown for this run.</p>'
+            : `<table class="entry-breakdown">
+                <thead><tr><th>SECTOR</th><th>TIME</th><th>PTS</th><th>HITS</th><th>HOPS</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`}
+    `;
+}
+
+async function showEntryDetail(id) {
+    const overlay = document.getElementById('entry-detail-overlay');
+    const container = document.getElementById('entry-detail');
+    container.innerHTML = '<p class="no-scores">Loading...</p>';
+    overlay.classList.remove('hidden');
+
+    const entry = await LeaderboardAPI.getEntry(id);
+    container.innerHTML = entry ? renderEntryDetail(entry) : '<p class="no-scores">Couldn\'t load this run.</p>';
+}
+
+function hideEntryDetail() {
+    document.getElementById('entry-detail-overlay').classList.add('hidden');
+}
+
 // HTML escape helper
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -79,27 +409,467 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// Get current game state (exposed from game.js via window)
+// Get the finished run's results (exposed from game.js via window)
 function getGameState() {
-    return window.GameState || {
-        totalScore: 0,
-        currentLevel: 1,
-        selectedCharacter: 'chicken'
+    const gameState = window.GameState;
+    if (!gameState || !gameState.run) {
+        return { totalScore: 0, currentLevel: 1, selectedCharacter: 'chicken', mode: 'classic', replay: undefined, runToken: null, breakdown: [] };
+    }
+    return {
+        totalScore: gameState.run.totalScore,
+        currentLevel: gameState.run.currentLevel,
+        selectedCharacter: gameState.run.character,
+        mode: gameState.run.mode,
+        replay: gameState.replay,
+        runToken: gameState.runToken,
+        breakdown: gameState.run.breakdown
     };
 }
 
+// Board shown in the overlay - today's scores by default, since all-time is hard to get on.
+// board is 'score', 'furthest' or 'sectors' (best times for one sector).
+const overlayView = { window: 'today', board: 'score', sector: 1, character: '', mode: 'classic' };
+let overlayRequest = 0; // Ignore responses for tabs the player has already left
+
+// Fill the sector picker once the game has loaded the sector names
+function fillSectorSelect() {
+    const select = document.getElementById('leaderboard-sector-select');
+    const names = window.GameState ? window.GameState.sectorNames : [];
+    if (!select || select.options.length === names.length) return;
+
+    select.innerHTML = names
+        .map((name, index) => `<option value="${index + 1}">S${index + 1}: ${escapeHtml(name)}</option>`)
+        .join('');
+    select.value = String(overlayView.sector);
+}
+
+async function loadOverlayLeaderboard(changes = {}) {
+    Object.assign(overlayView, changes);
+    ['window', 'board', 'character', 'mode'].forEach(key => {
+        document.querySelectorAll(`.leaderboard-tab[data-${key}]`).forEach(tab => {
+            tab.classList.toggle('selected', tab.dataset[key] === overlayView[key]);
+        });
+    });
+    fillSectorSelect();
+    const sectorSelect = document.getElementById('leaderboard-sector-select');
+    if (sectorSelect) sectorSelect.classList.toggle('hidden', overlayView.board !== 'sectors');
+
+    stopLiveUpdates();
+    const request = ++overlayRequest;
+    const entries = await fetchOverlayBoard();
+    if (request !== overlayRequest) return;
+
+    renderOverlayBoard(entries);
+    startLiveUpdates(request);
+}
+
+function fetchOverlayBoard() {
+    return overlayView.board === 'sectors'
+        ? LeaderboardAPI.getSectorTimes(overlayView.sector, { window: overlayView.window, character: overlayView.character, mode: overlayView.mode })
+        : LeaderboardAPI.getLeaderboard(overlayView);
+}
+
+function renderOverlayBoard(entries) {
+    renderLeaderboard(entries, 'main-leaderboard-list', { formatValue: BOARD_VALUES[overlayView.board] });
+}
+
+// ============================================
+// LIVE UPDATES (While the overlay is open)
+// ============================================
+// The overlay follows its board over Server-Sent Events and slides rows to their new
+// ranks. A dropped stream is retried with exponential backoff; without EventSource,
+// or after too many failures in a row, the overlay polls instead.
+const LIVE_RETRY_BASE = 1000;
+const LIVE_RETRY_MAX = 30000;
+const LIVE_MAX_FAILURES = 5;
+const LIVE_POLL_INTERVAL = 15000;
+
+const liveUpdates = { source: null, timer: null, failures: 0 };
+
+// request is the overlayRequest the board was loaded for - a newer one stops the updates
+function startLiveUpdates(request) {
+    if (typeof EventSource === 'undefined') {
+        pollOverlayBoard(request);
+        return;
+    }
+
+    const source = new EventSource(LeaderboardAPI.streamUrl(overlayView));
+    liveUpdates.source = source;
+
+    source.addEventListener('leaderboard', (e) => {
+        liveUpdates.failures = 0;
+        if (request !== overlayRequest) return;
+        const entries = JSON.parse(e.data);
+        renderLeaderboardAnimated('main-leaderboard-list', () => renderOverlayBoard(entries));
+    });
+
+    // Take over from EventSource's own fixed-delay reconnect
+    source.addEventListener('error', () => {
+        source.close();
+        liveUpdates.source = null;
+        if (request !== overlayRequest) return;
+
+        liveUpdates.failures++;
+        if (liveUpdates.failures >= LIVE_MAX_FAILURES) {
+            console.warn('Live leaderboard unavailable, polling instead');
+            pollOverlayBoard(request);
+            return;
+        }
+        const delay = Math.min(LIVE_RETRY_BASE * 2 ** (liveUpdates.failures - 1), LIVE_RETRY_MAX);
+        liveUpdates.timer = setTimeout(() => startLiveUpdates(request), delay);
+    });
+}
+
+function pollOverlayBoard(request) {
+    liveUpdates.timer = setTimeout(async () => {
+        const entries = await fetchOverlayBoard();
+        if (request !== overlayRequest) return;
+
+        renderLeaderboardAnimated('main-leaderboard-list', () => renderOverlayBoard(entries));
+        pollOverlayBoard(request);
+    }, LIVE_POLL_INTERVAL);
+}
+
+function stopLiveUpdates() {
+    if (liveUpdates.source) liveUpdates.source.close();
+    clearTimeout(liveUpdates.timer);
+    liveUpdates.source = null;
+    liveUpdates.timer = null;
+    liveUpdates.failures = 0;
+}
+
 // Show leaderboard overlay from home screen
 async function showLeaderboardOverlay() {
     const overlay = document.getElementById('leaderboard-overlay');
     overlay.classList.remove('hidden');
 
-    const entries = await LeaderboardAPI.getLeaderboard();
-    renderLeaderboard(entries, 'main-leaderboard-list');
+    await loadOverlayLeaderboard();
 }
 
 // Hide leaderboard overlay
 function hideLeaderboardOverlay() {
     document.getElementById('leaderboard-overlay').classList.add('hidden');
+    stopLiveUpdates();
+    overlayRequest++; // Drop any fetch still in flight
+}
+
+// ============================================
+// PLAYER (Anonymous device identity and My stats)
+// ============================================
+// The server hands the device a player with its first score: { id, token }, kept
+// in localStorage. The token proves later scores and name claims are this player's.
+// name is the name they've claimed, if any, so the game over screen can fill it in.
+const PLAYER_KEY = 'magmaMayhem.player';
+
+function loadPlayer() {
+    try {
+        const player = JSON.parse(localStorage.getItem(PLAYER_KEY));
+        return player && player.id && player.token ? player : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function savePlayer(player) {
+    try {
+        localStorage.setItem(PLAYER_KEY, JSON.stringify(player));
+    } catch (error) {
+        console.error('Error saving player:', error); // Storage full or disabled
+    }
+}
+
+function renderMyStats(profile) {
+    // Each mode ranks on its own boards, so each gets its own best
+    const best = profile.personalBests.classic;
+    const abilitiesBest = profile.personalBests.abilities;
+    // Badges the player's verified runs earned (definitions from core/achievements.mjs via game.js)
+    const definitions = window.GameState ? window.GameState.achievements : [];
+    const badges = profile.achievements
+        .map(({ id }) => definitions.find(achievement => achievement.id === id))
+        .filter(Boolean)
+        .map(achievement => `<span title="${achievement.name}">${achievement.icon}</span>`)
+        .join('');
+    const stat = (value, label) => `
+        <div class="my-stats-stat">
+            <span class="my-stats-value">${value}</span>
+            <span class="my-stats-label">${label}</span>
+        </div>
+    `;
+
+    const rows = profile.recentRuns.map(run => `
+        <tr class="my-stats-run" data-id="${run.id}">
+            <td>${new Date(run.created_at).toLocaleDateString()}</td>
+            <td>${CHARACTER_ICONS[run.character] || '🎮'}${run.mode === 'abilities' ? ABILITIES_MARK : ''}</td>
+            <td>${run.won ? '🏆' : `S${run.level}`}</td>
+            <td>${run.score}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="entry-detail-header">
+            <span class="entry-name">${escapeHtml(profile.name || 'Anonymous')}${profile.claimedName ? '<span class="entry-verified" title="Name claimed">🔒</span>' : ''}</span>
+        </div>
+        <div class="my-stats-grid">
+            ${stat(profile.runs, 'RUNS')}
+            ${stat(best ? best.score : '-', 'PERSONAL BEST')}
+            ${stat(best ? rankMedal(best.rank) : '-', 'BEST RANK')}
+            ${stat(CHARACTER_ICONS[profile.favouriteCharacter] || '-', 'FAVOURITE')}
+        </div>
+        ${abilitiesBest ? `<div class="my-stats-grid">
+            ${stat(`${abilitiesBest.score}${ABILITIES_MARK}`, 'ABILITIES BEST')}
+            ${stat(rankMedal(abilitiesBest.rank), 'ABILITIES RANK')}
+        </div>` : ''}
+        ${badges ? `<div class="my-stats-badges">${badges}</div>` : ''}
+        ${rows === ''
+            ? '<p class="no-scores">No runs on the boards yet.</p>'
+            : `<table class="entry-breakdown">
+                <thead><tr><th>DATE</th><th>CHAR</th><th>SECTOR</th><th>SCORE</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`}
+    `;
+}
+
+async function showMyStats() {
+    const overlay = document.getElementById('my-stats-overlay');
+    const container = document.getElementById('my-stats');
+    const claimSection = document.getElementById('my-stats-claim');
+    const player = loadPlayer();
+
+    overlay.classList.remove('hidden');
+    showClaimStatus('');
+    claimSection.classList.toggle('hidden', !player);
+    if (!player) {
+        container.innerHTML = '<p class="no-scores">Submit a score to start tracking your stats.</p>';
+        return;
+    }
+
+    container.innerHTML = '<p class="no-scores">Loading...</p>';
+    updateClaimForm(player.name || null);
+
+    const profile = await LeaderboardAPI.getPlayer(player.id);
+    if (!profile) {
+        container.innerHTML = '<p class="no-scores">Couldn\'t load your stats.</p>';
+        return;
+    }
+    if (profile.missing) {
+        container.innerHTML = '<p class="no-scores">None of your runs are on the boards yet.</p>';
+        return;
+    }
+
+    container.innerHTML = renderMyStats(profile);
+    // The claim may have changed on another tab, or been let go by the server
+    savePlayer({ ...loadPlayer(), name: profile.claimedName || undefined });
+    updateClaimForm(profile.claimedName, profile.name);
+}
+
+function hideMyStats() {
+    document.getElementById('my-stats-overlay').classList.add('hidden');
+}
+
+// claimedName is the player's claimed name or null; suggestion fills the input when there's none
+function updateClaimForm(claimedName, suggestion = '') {
+    const nameInput = document.getElementById('claim-name-input');
+    const releaseBtn = document.getElementById('release-name-btn');
+    nameInput.value = claimedName || suggestion || '';
+    releaseBtn.classList.toggle('hidden', !claimedName);
+    document.getElementById('claim-name-note').textContent = claimedName
+        ? `"${claimedName}" is yours - nobody else can submit scores under it.`
+        : 'Claim a name so nobody else can submit scores under it.';
+}
+
+function showClaimStatus(text, isError = false) {
+    const statusEl = document.getElementById('claim-status');
+    statusEl.textContent = text;
+    statusEl.className = `submit-status ${isError ? 'error' : text ? 'success' : ''}`;
+}
+
+async function claimPlayerName() {
+    const player = loadPlayer();
+    const nameInput = document.getElementById('claim-name-input');
+    const name = nameInput.value.trim();
+    if (!player) return;
+    if (!name) {
+        showClaimStatus('Please enter a name!', true);
+        nameInput.focus();
+        return;
+    }
+
+    showClaimStatus('Claiming...');
+    const result = await LeaderboardAPI.claimName(player, name);
+    if (!result.success) {
+        showClaimStatus(result.error, true);
+        if (result.field === 'name') {
+            nameInput.focus();
+            nameInput.select();
+        }
+        return;
+    }
+    savePlayer({ ...player, name: result.name });
+    updateClaimForm(result.name);
+    showClaimStatus(`"${result.name}" is now yours!`);
+}
+
+async function releasePlayerName() {
+    const player = loadPlayer();
+    if (!player) return;
+
+    const result = await LeaderboardAPI.releaseName(player);
+    // Not found means there was nothing to let go, which is where we wanted to be
+    if (!result.success && result.error !== 'No name claimed') {
+        showClaimStatus(result.error, true);
+        return;
+    }
+    savePlayer({ ...player, name: undefined });
+    updateClaimForm(null, player.name);
+    showClaimStatus('Name released');
+}
+
+// ============================================
+// PENDING SCORES (Offline submission queue)
+// ============================================
+// A score that can't reach the server is kept in localStorage and retried in the
+// background - with backoff, and straight away when the browser comes back online.
+// The idempotency key goes with it, so a retry of a score the server did record
+// gets the original entry back instead of making a second one.
+const PENDING_SCORES_KEY = 'magmaMayhem.pendingScores';
+const MAX_PENDING_SCORES = 20;
+const PENDING_RETRY_BASE = 5000;
+const PENDING_RETRY_MAX = 5 * 60 * 1000;
+
+const pendingRetry = { timer: null, attempts: 0, flushing: false };
+
+function newSubmissionKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function loadPendingScores() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_SCORES_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function savePendingScores(pending) {
+    try {
+        if (pending.length > 0) {
+            localStorage.setItem(PENDING_SCORES_KEY, JSON.stringify(pending));
+        } else {
+            localStorage.removeItem(PENDING_SCORES_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving pending scores:', error); // Storage full or disabled
+    }
+    updatePendingIndicator(pending.length);
+}
+
+function queuePendingScore(submission) {
+    const pending = loadPendingScores().filter(item => item.key !== submission.key);
+    pending.push(submission);
+    savePendingScores(pending.slice(-MAX_PENDING_SCORES));
+    schedulePendingRetry();
+}
+
+// minDelay (ms) is how long the server asked us to wait, if it did
+function schedulePendingRetry(minDelay = 0) {
+    clearTimeout(pendingRetry.timer);
+    const delay = Math.min(PENDING_RETRY_BASE * 2 ** pendingRetry.attempts, PENDING_RETRY_MAX);
+    pendingRetry.timer = setTimeout(flushPendingScores, Math.max(delay, minDelay));
+}
+
+// Send queued scores oldest first, stopping at the first one the server still can't take.
+// Scores the server turns down for good (e.g. an expired run token) are dropped.
+async function flushPendingScores() {
+    if (pendingRetry.flushing) return;
+    clearTimeout(pendingRetry.timer);
+    pendingRetry.flushing = true;
+
+    try {
+        for (const submission of loadPendingScores()) {
+            const result = await LeaderboardAPI.submitScore(submission);
+            if (!result.success && result.retryable) {
+                pendingRetry.attempts++;
+                schedulePendingRetry(result.rateLimited ? result.retryAfter * 1000 : 0);
+                return;
+            }
+            if (!result.success) console.warn(`Dropped queued score: ${result.error}`);
+
+            // Re-read - another score may have been queued while this one was in flight
+            savePendingScores(loadPendingScores().filter(item => item.key !== submission.key));
+            showSubmitResult(submission, result);
+        }
+        pendingRetry.attempts = 0;
+    } finally {
+        pendingRetry.flushing = false;
+    }
+}
+
+function updatePendingIndicator(count) {
+    const indicator = document.getElementById('pending-scores');
+    if (!indicator) return;
+
+    indicator.textContent = `⏳ ${count} SCORE${count === 1 ? '' : 'S'} WAITING TO SUBMIT`;
+    indicator.classList.toggle('hidden', count === 0);
+}
+
+// The submission the game over screen is showing, so a queued score that goes through
+// later only updates the screen if the player is still looking at it
+let shownSubmissionKey = null;
+
+// Show how a submission went on the game over screen
+async function showSubmitResult(submission, result) {
+    if (submission.key !== shownSubmissionKey) return;
+
+    const submitBtn = document.getElementById('submit-score-btn');
+    const statusEl = document.getElementById('submit-status');
+    const submitSection = document.getElementById('score-submit-section');
+    const leaderboardSection = document.getElementById('game-over-leaderboard');
+
+    if (!result.success) {
+        const nameInput = document.getElementById('player-name-input');
+        // A turned-down name says why, and the player can change it and go again
+        statusEl.textContent = result.field === 'name' ? result.error : `Failed to submit: ${result.error}`;
+        statusEl.className = 'submit-status error';
+        submitBtn.disabled = false;
+        nameInput.disabled = false;
+        if (result.field === 'name') {
+            nameInput.focus();
+            nameInput.select();
+        }
+        return;
+    }
+
+    // A held entry isn't on the board yet, so there's no rank to show or highlight
+    if (result.held) {
+        statusEl.textContent = 'Score saved! Your name will appear once a moderator has checked it';
+    } else {
+        statusEl.textContent = result.rank <= 10
+            ? `You ranked #${result.rank}!`
+            : `Score submitted! Rank: #${result.rank}`;
+    }
+    statusEl.className = 'submit-status success';
+
+    // Hide submit section, show leaderboard
+    submitSection.style.display = 'none';
+    leaderboardSection.classList.remove('hidden');
+
+    // Fetch and display updated leaderboard for the run's mode, plus the player's spot if they're outside the top 10
+    const [entries, around] = await Promise.all([
+        LeaderboardAPI.getLeaderboard({ mode: submission.mode }),
+        result.rank > 10 && !result.held ? LeaderboardAPI.getEntriesAround(result.id) : null
+    ]);
+    renderLeaderboard(entries, 'game-over-leaderboard-list', {
+        highlightRank: result.held ? null : result.rank,
+        lowerEntries: around ? around.entries : []
+    });
+}
+
+// "45 seconds", "3 minutes"
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
 }
 
 // Submit score and show leaderboard in game over screen
@@ -119,35 +889,41 @@ async function submitScoreAndShowLeaderboard() {
     }
 
     submitBtn.disabled = true;
+    nameInput.disabled = true;
     statusEl.textContent = 'Submitting...';
     statusEl.className = 'submit-status';
 
     const gameState = getGameState();
-    const result = await LeaderboardAPI.submitScore(
+    const submission = {
+        key: newSubmissionKey(),
         name,
-        gameState.totalScore,
-        gameState.currentLevel,
-        gameState.selectedCharacter
-    );
-
-    if (result && result.success) {
-        statusEl.textContent = result.rank <= 10
-            ? `You ranked #${result.rank}!`
-            : `Score submitted! Rank: #${result.rank}`;
-        statusEl.className = 'submit-status success';
-
-        // Hide submit section, show leaderboard
-        submitSection.style.display = 'none';
-        leaderboardSection.classList.remove('hidden');
+        score: gameState.totalScore,
+        level: gameState.currentLevel,
+        character: gameState.selectedCharacter,
+        mode: gameState.mode,
+        replay: gameState.replay,
+        runToken: gameState.runToken,
+        breakdown: gameState.breakdown
+    };
+    shownSubmissionKey = submission.key;
 
-        // Fetch and display updated leaderboard
-        const entries = await LeaderboardAPI.getLeaderboard();
-        renderLeaderboard(entries, 'game-over-leaderboard-list', result.rank <= 10 ? result.rank : null);
-    } else {
-        statusEl.textContent = 'Failed to submit. Try again!';
+    const result = await LeaderboardAPI.submitScore(submission);
+    if (!result.success && result.rateLimited) {
+        statusEl.textContent = result.banned
+            ? `Too many invalid scores came from this connection - it's blocked from the leaderboard for ${formatWait(result.retryAfter)}`
+            : `Whoa, slow down! Too many scores at once - try again in ${formatWait(result.retryAfter)}`;
         statusEl.className = 'submit-status error';
         submitBtn.disabled = false;
+        nameInput.disabled = false;
+        return;
+    }
+    if (!result.success && result.retryable) {
+        queuePendingScore(submission);
+        statusEl.textContent = 'Offline - your score is saved and will submit when you reconnect';
+        statusEl.className = 'submit-status pending';
+        return;
     }
+    showSubmitResult(submission, result);
 }
 
 // Reset game over screen state (called when showing game over)
@@ -157,11 +933,17 @@ function resetGameOverLeaderboard() {
     const nameInput = document.getElementById('player-name-input');
     const submitBtn = document.getElementById('submit-score-btn');
     const statusEl = document.getElementById('submit-status');
+    const unrankedNote = document.getElementById('unranked-note');
 
-    if (submitSection) submitSection.style.display = 'block';
+    shownSubmissionKey = null;
+
+    // Custom seed and offline runs have no run token, so they can't be submitted
+    const ranked = getGameState().runToken !== null;
+    if (submitSection) submitSection.style.display = ranked ? 'block' : 'none';
     if (leaderboardSection) leaderboardSection.classList.add('hidden');
     if (nameInput) {
-        nameInput.value = '';
+        const player = loadPlayer();
+        nameInput.value = player && player.name ? player.name : '';
         nameInput.disabled = false;
     }
     if (submitBtn) submitBtn.disabled = false;
@@ -169,6 +951,7 @@ function resetGameOverLeaderboard() {
         statusEl.textContent = '';
         statusEl.className = 'submit-status';
     }
+    if (unrankedNote) unrankedNote.classList.toggle('hidden', ranked);
 }
 
 // Initialize leaderboard event listeners
@@ -191,6 +974,93 @@ function initLeaderboard() {
         });
     }
 
+    // Window (today / week / month / all time), board and character tabs
+    document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+            e.stopPropagation();
+            loadOverlayLeaderboard({ ...tab.dataset });
+        });
+    });
+
+    // Sector picker for the sector times board
+    const sectorSelect = document.getElementById('leaderboard-sector-select');
+    if (sectorSelect) {
+        sectorSelect.addEventListener('click', (e) => e.stopPropagation());
+        sectorSelect.addEventListener('change', () => {
+            loadOverlayLeaderboard({ sector: Number(sectorSelect.value) });
+        });
+    }
+
+    // Clicking a row on any board opens that run's breakdown
+    ['main-leaderboard-list', 'game-over-leaderboard-list'].forEach(listId => {
+        const list = document.getElementById(listId);
+        if (!list) return;
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.leaderboard-entry');
+            if (!row) return;
+            e.stopPropagation();
+            showEntryDetail(Number(row.dataset.id));
+        });
+    });
+
+    const closeEntryDetailBtn = document.getElementById('close-entry-detail-btn');
+    if (closeEntryDetailBtn) {
+        closeEntryDetailBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideEntryDetail();
+        });
+    }
+
+    // My stats button on home screen, and the panel's run rows and name claim
+    const myStatsBtn = document.getElementById('my-stats-btn');
+    if (myStatsBtn) {
+        myStatsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showMyStats();
+        });
+    }
+    const myStats = document.getElementById('my-stats');
+    if (myStats) {
+        myStats.addEventListener('click', (e) => {
+            const row = e.target.closest('.my-stats-run');
+            if (!row) return;
+            e.stopPropagation();
+            showEntryDetail(Number(row.dataset.id));
+        });
+    }
+    const closeMyStatsBtn = document.getElementById('close-my-stats-btn');
+    if (closeMyStatsBtn) {
+        closeMyStatsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideMyStats();
+        });
+    }
+    const claimNameBtn = document.getElementById('claim-name-btn');
+    if (claimNameBtn) {
+        claimNameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            claimPlayerName();
+        });
+    }
+    const releaseNameBtn = document.getElementById('release-name-btn');
+    if (releaseNameBtn) {
+        releaseNameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            releasePlayerName();
+        });
+    }
+    // The start screen is still up behind the panel - keep Enter and Space from starting a run
+    const claimNameInput = document.getElementById('claim-name-input');
+    if (claimNameInput) {
+        claimNameInput.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                claimPlayerName();
+            }
+        });
+    }
+
     // Submit score button
     const submitScoreBtn = document.getElementById('submit-score-btn');
     if (submitScoreBtn) {
@@ -211,6 +1081,22 @@ function initLeaderboard() {
         });
     }
 
+    // Scores queued on an earlier visit or while offline
+    const pendingIndicator = document.getElementById('pending-scores');
+    if (pendingIndicator) {
+        pendingIndicator.addEventListener('click', (e) => {
+            e.stopPropagation();
+            flushPendingScores();
+        });
+    }
+    window.addEventListener('online', () => {
+        pendingRetry.attempts = 0;
+        flushPendingScores();
+    });
+    const pendingCount = loadPendingScores().length;
+    updatePendingIndicator(pendingCount);
+    if (pendingCount > 0) flushPendingScores();
+
     console.log('Leaderboard initialized');
 }
 
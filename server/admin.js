@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const express = require('express');
+const { cleanName, nameKey } = require('./moderation');
+const { readIntParam } = require('./params');
+const { LEADERBOARD_WINDOWS, windowStart } = require('./windows');
+
+// ============================================
+// ADMIN API (/api/admin)
+// ============================================
+// Every request needs "Authorization: Bearer <ADMIN_TOKEN>". Every change is
+// written to the audit log with the IP it came from. admin.html drives it.
+const ENTRY_STATUSES = ['all', 'visible', 'hidden', 'held'];
+const BAN_KINDS = ['name', 'ip'];
+const MAX_BAN_REASON_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+// Compares digests so the time taken doesn't give away how much of the token was right
+function tokenMatches(supplied, token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(supplied), digest(token));
+}
+
+// getStorage returns the server's storage (it's opened after the routes are set up).
+// onChange is called after anything that changes what the public boards show.
+function createAdminApi({ token, getStorage, audit, timeZone, onChange }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        const [scheme, supplied] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !supplied || !tokenMatches(supplied, token)) {
+            return res.status(401).json({ error: 'Admin token required' });
+        }
+        next();
+    });
+
+    // Resolves :id to the entry, or answers 400 / 404 and returns null
+    function readEntry(req, res) {
+        const id = readIntParam(req.params.id, null);
+        if (id === null) {
+            res.status(400).json({ error: 'Invalid id' });
+            return null;
+        }
+        const entry = getStorage().findEntry(id);
+        if (!entry) {
+            res.status(404).json({ error: 'Entry not found' });
+            return null;
+        }
+        return entry;
+    }
+
+    // What the audit log keeps about an entry an action was taken on
+    function describe(entry) {
+        return { id: entry.id, name: entry.name, score: entry.score };
+    }
+
+    // Entries newest first, hidden and held ones included (?search= part of a name
+    // or an exact id or IP, ?status=all|visible|hidden|held, ?limit=&offset=).
+    // The total is in X-Total-Count.
+    router.get('/entries', (req, res) => {
+        const limit = readIntParam(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = readIntParam(req.query.offset, 0);
+        if (limit === null || offset === null) {
+            return res.status(400).json({ error: 'Invalid limit or offset' });
+        }
+        const status = req.query.status || 'all';
+        if (!ENTRY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${ENTRY_STATUSES.join(', ')}` });
+        }
+
+        const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+        const { entries, total } = getStorage().searchEntries({ search, status, limit, offset });
+        res.set('X-Total-Count', String(total));
+        res.json(entries);
+    });
+
+    // Take an entry off the boards, or put it back
+    [['hide', true], ['unhide', false]].forEach(([action, hidden]) => {
+        router.post(`/entries/:id/${action}`, (req, res) => {
+            const entry = readEntry(req, res);
+            if (!entry) return;
+
+            getStorage().setEntryHidden(entry.id, hidden);
+            audit.record(`entry.${action}`, { ip: req.ip, entry: describe(entry) });
+            onChange();
+            res.json({ success: true });
+        });
+    });
+
+    // Let an entry that's held for review onto the boards
+    router.post('/entries/:id/approve', (req, res) => {
+        const entry = readEntry(req, res);
+        if (!entry) return;
+        if (!entry.held) {
+            return res.status(409).json({ error: 'Entry is not held for review' });
+        }
+
+        getStorage().reviewEntry(entry.id, true);
+        audit.record('entry.approve', { ip: req.ip, entry: describe(entry), reason: entry.reason });
+        onChange();
+        res.json({ success: true });
+    });
+
+    // Rename an entry ({ name }) - cleaned up like a player's name, but not moderated
+    router.patch('/entries/:id', (req, res) => {
+        const entry = readEntry(req, res);
+        if (!entry) return;
+        const name = typeof req.body.name === 'string' ? cleanName(req.body.name) : '';
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        getStorage().renameEntry(entry.id, name);
+        audit.record('entry.rename', { ip: req.ip, entry: describe(entry), name });
+        onChange();
+        res.json({ success: true, name });
+    });
+
+    router.delete('/entries/:id', (req, res) => {
+        const entry = readEntry(req, res);
+        if (!entry) return;
+
+        getStorage().deleteEntry(entry.id);
+        audit.record('entry.delete', { ip: req.ip, entry: describe(entry) });
+        onChange();
+        res.json({ success: true });
+    });
+
+    // Hide every entry set in a window ({ window: today | week | month | all }) - the board
+    // starts again from nothing, and the entries can still be unhidden one by one
+    router.post('/reset', (req, res) => {
+        const boardWindow = req.body.window;
+        if (!LEADERBOARD_WINDOWS.includes(boardWindow)) {
+            return res.status(400).json({ error: `Window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+        }
+
+        const hidden = getStorage().hideEntriesSince(windowStart(boardWindow, timeZone) || '');
+        audit.record('board.reset', { ip: req.ip, window: boardWindow, hidden });
+        onChange();
+        res.json({ success: true, hidden });
+    });
+
+    // Bans in force, newest first
+    router.get('/bans', (req, res) => {
+        res.json(getStorage().getBans(new Date().toISOString()));
+    });
+
+    // Ban a name or IP ({ kind: 'name' | 'ip', value, reason, minutes }) - no minutes for
+    // a permanent ban. A name ban covers every name that reads the same (see nameKey).
+    router.post('/bans', (req, res) => {
+        const { kind, reason = null, minutes = null } = req.body;
+        if (!BAN_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Kind must be one of ${BAN_KINDS.join(', ')}` });
+        }
+        const value = typeof req.body.value !== 'string' ? ''
+            : kind === 'name' ? cleanName(req.body.value) : req.body.value.trim();
+        if (!value || (kind === 'name' && !nameKey(value))) {
+            return res.status(400).json({ error: `A ${kind} to ban is required` });
+        }
+        if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_BAN_REASON_LENGTH)) {
+            return res.status(400).json({ error: 'Invalid reason' });
+        }
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes <= 0)) {
+            return res.status(400).json({ error: 'Minutes must be a positive whole number' });
+        }
+
+        const now = Date.now();
+        const ban = {
+            kind,
+            value,
+            reason: reason || null,
+            created_at: new Date(now).toISOString(),
+            expires_at: minutes === null ? null : new Date(now + minutes * 60 * 1000).toISOString()
+        };
+        const id = getStorage().addBan(ban);
+        audit.record('ban.add', { ip: req.ip, ban: { id, ...ban } });
+        res.json({ success: true, id });
+    });
+
+    router.delete('/bans/:id', (req, res) => {
+        const id = readIntParam(req.params.id, null);
+        if (id === null) {
+            return res.status(400).json({ error: 'Invalid id' });
+        }
+        if (!getStorage().removeBan(id)) {
+            return res.status(404).json({ error: 'Ban not found' });
+        }
+        audit.record('ban.remove', { ip: req.ip, ban: { id } });
+        res.json({ success: true });
+    });
+
+    // The most recent audit records, newest first (?limit=, default 100)
+    router.get('/audit', (req, res) => {
+        const limit = readIntParam(req.query.limit, DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+        if (limit === null) {
+            return res.status(400).json({ error: 'Invalid limit' });
+        }
+        res.json(audit.recent(limit));
+    });
+
+    return router;
+}
+
+module.exports = { createAdminApi };
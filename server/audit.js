@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+// ============================================
+// AUDIT LOG (Who changed the leaderboard and how)
+// ============================================
+// Every admin action is appended to AUDIT_LOG_FILE as one JSON object per line,
+// so the file can be read with grep or jq as well as from the admin page.
+function createAuditLog(file) {
+    return {
+        // action is e.g. 'entry.hide'; details is anything that says what it was done to
+        record(action, { ip, ...details }) {
+            const line = JSON.stringify({ at: new Date().toISOString(), action, ip, ...details });
+            fs.appendFileSync(file, `${line}\n`);
+        },
+
+        // The most recent records, newest first
+        recent(limit) {
+            if (!fs.existsSync(file)) return [];
+            return fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .slice(-limit)
+                .reverse()
+                .map(line => JSON.parse(line));
+        }
+    };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { checkTimeZone } = require('./windows');
+
+// ============================================
+// SERVER CONFIG (Environment variables)
+// ============================================
+// Everything the server reads from the environment, checked once at startup so a
+// typo fails the deploy instead of surfacing on the first request.
+//
+//   PORT                  Port to listen on (default 3001)
+//   DATA_DIR              Directory for leaderboard.db / leaderboard.json (default server/)
+//   STORAGE_BACKEND       sqlite (default) or json
+//   DATABASE_FILE         SQLite file (default DATA_DIR/leaderboard.db)
+//   LEADERBOARD_TIMEZONE  Where today / week / month boundaries fall (default UTC)
+//   RUN_TOKEN_SECRET      Signs run and player tokens - random per process if unset
+//   CORS_ORIGINS          Comma-separated origins allowed to call the API from other sites,
+//                         or * for any (default none - only pages this server serves)
+//   PUBLIC_API_BASE_URL   API URL handed to the game in /config.json (default: this server)
+//   SERVE_GAME            Serve the game's files as well as the API (default true)
+//   LIVE_UPDATES          Offer /api/leaderboard/stream (default true)
+//   UNVERIFIED_SCORES     Accept scores submitted without a replay (default false)
+//   SUBMIT_RATE_PER_IP    Score submissions per minute from one IP (default 10, 0 for no limit)
+//   SUBMIT_RATE_PER_NAME  Score submissions per minute under one name (default 5, 0 for no limit)
+//   SUBMIT_BAN_AFTER      Invalid submissions from one IP before it's banned (default 10, 0 for never)
+//   SUBMIT_BAN_MINUTES    How long a ban lasts (default 15)
+//   ADMIN_TOKEN           Turns on /api/admin and admin.html - at least 16 characters (default off)
+//   AUDIT_LOG_FILE        Where admin actions are logged (default DATA_DIR/audit.log)
+//   NAME_BLOCKLIST_FILE   Words not allowed in player names (default server/name-blocklist.txt)
+//   RESERVED_NAMES        Comma-separated names players can't use (default: staff and game names)
+//   TRUST_PROXY           Reverse proxies in front of the server, so limits see the
+//                         client's IP rather than the proxy's (default 0)
+const DEFAULT_DATA_DIR = __dirname;
+const STORAGE_BACKENDS = ['sqlite', 'json'];
+const MIN_ADMIN_TOKEN_LENGTH = 16;
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, 'name-blocklist.txt');
+const DEFAULT_RESERVED_NAMES = ['admin', 'administrator', 'moderator', 'mod', 'staff', 'system', 'official', 'magma mayhem', 'time mission'];
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// Returns the config, or throws one Error listing every bad variable
+function loadConfig(env = process.env) {
+    const errors = [];
+
+    function readPort(name, fallback) {
+        if (!env[name]) return fallback;
+        const port = Number(env[name]);
+        if (Number.isInteger(port) && port > 0 && port < 65536) return port;
+        errors.push(`${name} must be a port number (got "${env[name]}")`);
+        return fallback;
+    }
+
+    function readChoice(name, choices, fallback) {
+        if (!env[name]) return fallback;
+        if (choices.includes(env[name])) return env[name];
+        errors.push(`${name} must be one of ${choices.join(', ')} (got "${env[name]}")`);
+        return fallback;
+    }
+
+    function readCount(name, fallback) {
+        if (!env[name]) return fallback;
+        const count = Number(env[name]);
+        if (Number.isInteger(count) && count >= 0) return count;
+        errors.push(`${name} must be a whole number (got "${env[name]}")`);
+        return fallback;
+    }
+
+    function readFlag(name, fallback) {
+        if (!env[name]) return fallback;
+        const value = BOOLEANS[env[name].toLowerCase()];
+        if (value !== undefined) return value;
+        errors.push(`${name} must be true or false (got "${env[name]}")`);
+        return fallback;
+    }
+
+    // Origin-only URL (scheme, host and port) - what browsers send in the Origin header
+    function readOrigin(name, value) {
+        try {
+            const url = new URL(value);
+            if (url.origin === value) return value;
+        } catch (error) {
+            // Falls through to the error below
+        }
+        errors.push(`${name} entries must be origins like https://example.com (got "${value}")`);
+        return null;
+    }
+
+    const dataDir = path.resolve(env.DATA_DIR || DEFAULT_DATA_DIR);
+    if (!fs.existsSync(dataDir) || !fs.statSync(dataDir).isDirectory()) {
+        errors.push(`DATA_DIR must be an existing directory (got "${dataDir}")`);
+    }
+
+    let leaderboardTimeZone = env.LEADERBOARD_TIMEZONE || 'UTC';
+    try {
+        checkTimeZone(leaderboardTimeZone);
+    } catch (error) {
+        errors.push(`LEADERBOARD_TIMEZONE must be an IANA timezone like Europe/London (got "${leaderboardTimeZone}")`);
+        leaderboardTimeZone = 'UTC';
+    }
+
+    const adminToken = env.ADMIN_TOKEN || null;
+    if (adminToken !== null && adminToken.length < MIN_ADMIN_TOKEN_LENGTH) {
+        errors.push(`ADMIN_TOKEN must be at least ${MIN_ADMIN_TOKEN_LENGTH} characters`);
+    }
+
+    const nameBlocklistFile = path.resolve(env.NAME_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE);
+    if (!fs.existsSync(nameBlocklistFile)) {
+        errors.push(`NAME_BLOCKLIST_FILE must be an existing file (got "${nameBlocklistFile}")`);
+    }
+    const reservedNames = env.RESERVED_NAMES
+        ? env.RESERVED_NAMES.split(',').map(name => name.trim()).filter(Boolean)
+        : DEFAULT_RESERVED_NAMES;
+
+    let corsOrigins = [];
+    if (env.CORS_ORIGINS === '*') {
+        corsOrigins = '*';
+    } else if (env.CORS_ORIGINS) {
+        corsOrigins = env.CORS_ORIGINS.split(',').map(origin => readOrigin('CORS_ORIGINS', origin.trim()));
+    }
+
+    let publicApiBaseUrl = '';
+    if (env.PUBLIC_API_BASE_URL) {
+        try {
+            publicApiBaseUrl = new URL(env.PUBLIC_API_BASE_URL).href.replace(/\/+$/, '');
+        } catch (error) {
+            errors.push(`PUBLIC_API_BASE_URL must be a URL (got "${env.PUBLIC_API_BASE_URL}")`);
+        }
+    }
+
+    const config = {
+        port: readPort('PORT', 3001),
+        dataDir,
+        storageBackend: readChoice('STORAGE_BACKEND', STORAGE_BACKENDS, 'sqlite'),
+        databaseFile: path.resolve(env.DATABASE_FILE || path.join(dataDir, 'leaderboard.db')),
+        jsonFile: path.join(dataDir, 'leaderboard.json'),
+        leaderboardTimeZone,
+        runTokenSecret: env.RUN_TOKEN_SECRET || null,
+        adminToken, // null turns the admin API and page off
+        auditLogFile: path.resolve(env.AUDIT_LOG_FILE || path.join(dataDir, 'audit.log')),
+        corsOrigins, // '*' or a list of origins
+        publicApiBaseUrl, // '' tells the game to use the origin it was loaded from
+        nameBlocklistFile,
+        reservedNames,
+        trustProxy: readCount('TRUST_PROXY', 0),
+        submitLimits: {
+            perIp: readCount('SUBMIT_RATE_PER_IP', 10),
+            perName: readCount('SUBMIT_RATE_PER_NAME', 5),
+            banAfter: readCount('SUBMIT_BAN_AFTER', 10),
+            banMinutes: readCount('SUBMIT_BAN_MINUTES', 15)
+        },
+        features: {
+            serveGame: readFlag('SERVE_GAME', true),
+            liveUpdates: readFlag('LIVE_UPDATES', true),
+            unverifiedScores: readFlag('UNVERIFIED_SCORES', false)
+        }
+    };
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+    return Object.freeze(config);
+}
+
+module.exports = { loadConfig };
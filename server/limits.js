@@ -0,0 +1,120 @@
+// ============================================
+// SUBMISSION LIMITS (Rate limits and temporary bans)
+// ============================================
+// Token buckets per IP and per player name: each holds up to a minute's worth of
+// submissions and refills at that rate, so a burst is fine but a script isn't.
+// An IP that keeps sending invalid submissions is banned for a while.
+// Name claims have buckets of their own per player, so claiming a name doesn't
+// use up the scores a player can submit.
+const CLAIMS_PER_MINUTE = 5;
+const STRIKE_WINDOW = 10 * 60 * 1000; // Invalid submissions further apart than this are forgiven
+const SWEEP_INTERVAL = 60 * 1000;
+
+// perMinute of 0 turns the bucket off
+function createBuckets(perMinute) {
+    const buckets = new Map();
+    const refillPerMs = perMinute / 60000;
+
+    function tokensAt(bucket, now) {
+        return Math.min(perMinute, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    }
+
+    return {
+        // Spend a token for key. Returns 0 if there was one, otherwise the seconds until there will be.
+        take(key, now) {
+            if (perMinute === 0) return 0;
+            const bucket = buckets.get(key) || { tokens: perMinute, updated: now };
+            const tokens = tokensAt(bucket, now);
+            if (tokens < 1) {
+                return Math.ceil((1 - tokens) / refillPerMs / 1000);
+            }
+            buckets.set(key, { tokens: tokens - 1, updated: now });
+            return 0;
+        },
+
+        // Full buckets are the same as no bucket
+        sweep(now) {
+            buckets.forEach((bucket, key) => {
+                if (tokensAt(bucket, now) >= perMinute) buckets.delete(key);
+            });
+        }
+    };
+}
+
+// Each check returns null if the submission may go ahead, otherwise the body of a 429:
+// { error, code: 'rate_limited' | 'banned', retryAfter } with retryAfter in seconds
+function createSubmissionLimits({ perIp, perName, banAfter, banMinutes }) {
+    const ipBuckets = createBuckets(perIp);
+    const nameBuckets = createBuckets(perName);
+    const claimBuckets = createBuckets(CLAIMS_PER_MINUTE);
+    const strikes = new Map(); // ip -> { count, last }
+    const bans = new Map(); // ip -> time the ban ends
+
+    function limited(retryAfter, error = 'Too many scores submitted - slow down') {
+        return { error, code: 'rate_limited', retryAfter };
+    }
+
+    function banned(ip, now) {
+        const until = bans.get(ip);
+        if (!(until > now)) return null;
+        return {
+            error: 'Too many invalid scores submitted - try again later',
+            code: 'banned',
+            retryAfter: Math.ceil((until - now) / 1000)
+        };
+    }
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        ipBuckets.sweep(now);
+        nameBuckets.sweep(now);
+        claimBuckets.sweep(now);
+        strikes.forEach((strike, ip) => {
+            if (now - strike.last > STRIKE_WINDOW) strikes.delete(ip);
+        });
+        bans.forEach((until, ip) => {
+            if (until <= now) bans.delete(ip);
+        });
+    }, SWEEP_INTERVAL);
+    sweep.unref();
+
+    return {
+        // Call before anything else is done with a submission
+        checkClient(ip, now) {
+            const ban = banned(ip, now);
+            if (ban) return ban;
+            const retryAfter = ipBuckets.take(ip, now);
+            return retryAfter > 0 ? limited(retryAfter) : null;
+        },
+
+        // Call before a player claims a name - a banned IP can't claim one either
+        checkClaim(ip, playerId, now) {
+            const ban = banned(ip, now);
+            if (ban) return ban;
+            const retryAfter = claimBuckets.take(playerId, now);
+            return retryAfter > 0 ? limited(retryAfter, 'Too many name changes - slow down') : null;
+        },
+
+        // Call once the name is known to be valid - names are compared case-insensitively
+        checkName(name, now) {
+            const retryAfter = nameBuckets.take(name.toLowerCase(), now);
+            return retryAfter > 0 ? limited(retryAfter) : null;
+        },
+
+        // Call when a submission is rejected as invalid; banAfter of 0 turns bans off
+        recordInvalid(ip, now) {
+            if (banAfter === 0) return;
+            const strike = strikes.get(ip);
+            const count = strike && now - strike.last <= STRIKE_WINDOW ? strike.count + 1 : 1;
+            if (count >= banAfter) {
+                strikes.delete(ip);
+                bans.set(ip, now + banMinutes * 60 * 1000);
+                console.warn(`Banned ${ip} for ${banMinutes} min after ${count} invalid submissions`);
+            } else {
+                strikes.set(ip, { count, last: now });
+            }
+        }
+    };
+}
+
+module.exports = { createSubmissionLimits };
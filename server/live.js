@@ -0,0 +1,68 @@
+// ============================================
+// LIVE LEADERBOARD (Server-Sent Events)
+// ============================================
+// Each open stream follows one board. When a score lands every stream re-reads
+// its board and, if anything changed, gets the new list as a 'leaderboard' event.
+// The heartbeat re-reads them too, and load() works out the board's time window
+// afresh each time, so "today" rolls over without a new score.
+const HEARTBEAT_INTERVAL = 30000;
+const RECONNECT_DELAY = 3000; // Sent as retry: - how long EventSource waits before reconnecting
+const MAX_STREAMS = 200;
+
+function createLiveBoards() {
+    const streams = new Set();
+
+    function send(stream, event, data) {
+        stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Push the board if it's changed since the stream last saw it
+    function refresh(stream) {
+        try {
+            const entries = stream.load();
+            const snapshot = JSON.stringify(entries);
+            if (snapshot === stream.snapshot) return;
+            stream.snapshot = snapshot;
+            send(stream, 'leaderboard', entries);
+        } catch (error) {
+            console.error('Error refreshing live leaderboard:', error);
+        }
+    }
+
+    const heartbeat = setInterval(() => {
+        streams.forEach(stream => {
+            refresh(stream);
+            stream.res.write(': ping\n\n'); // Keeps proxies from closing an idle connection
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    return {
+        // Turn the response into a stream of the board load() reads.
+        // Returns false (and leaves res alone) if there are already too many streams.
+        subscribe(req, res, load) {
+            if (streams.size >= MAX_STREAMS) return false;
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Don't let a reverse proxy sit on events
+            });
+            res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+            const stream = { res, load, snapshot: null };
+            streams.add(stream);
+            refresh(stream);
+            req.on('close', () => streams.delete(stream));
+            return true;
+        },
+
+        // Call after a score is recorded
+        publish() {
+            streams.forEach(refresh);
+        }
+    };
+}
+
+module.exports = { createLiveBoards };
@@ -0,0 +1,110 @@
+const fs = require('fs');
+
+// ============================================
+// NAME MODERATION (What goes up on the lobby screen)
+// ============================================
+// Names are cleaned first - Unicode-normalised, with invisible and text-direction
+// characters stripped - and that's the name that gets stored. Checks run on a folded
+// copy: lowercase, accents dropped, look-alike letters and leetspeak mapped to plain
+// letters, so "4DM1N" and "аdmin" (Cyrillic а) both read as admin.
+const MAX_NAME_LENGTH = 20;
+const MAX_COMBINING_MARKS = 2; // Per letter - any more is Zalgo text
+const MIN_EMBEDDED_TERM_LENGTH = 4; // Shorter terms turn up inside too many innocent names
+
+// Cyrillic and Greek letters that pass for Latin ones, then leetspeak
+const LOOKALIKES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x',
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't', '€': 'e'
+};
+
+// The name as it'll be shown: NFKC (so full-width and other compatibility forms become
+// plain letters), no control, zero-width or bidi characters, tidy spaces, 20 characters
+function cleanName(name) {
+    const cleaned = name.normalize('NFKC')
+        .replace(/[\p{Cc}\p{Cf}\p{Co}\p{Cn}]/gu, '')
+        .replace(new RegExp(`(\\p{M}{${MAX_COMBINING_MARKS}})\\p{M}+`, 'gu'), '$1')
+        .replace(/\s+/gu, ' ')
+        .trim();
+    return [...cleaned].slice(0, MAX_NAME_LENGTH).join('').trim();
+}
+
+function foldText(text) {
+    return [...text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '')]
+        .map(char => LOOKALIKES[char] || char)
+        .join('');
+}
+
+// "fuuuck" and "fuck" read the same
+function squeeze(text) {
+    return text.replace(/(.)\1+/g, '$1');
+}
+
+// The folded words of a name, and all of them run together (catches "f u c k")
+function readName(name) {
+    const words = foldText(name).split(/[^a-z]+/).filter(Boolean);
+    return { words, joined: words.join('') };
+}
+
+// Digits and symbols tacked onto the end of a word ("Admin99", "ADMIN_1") are decoration,
+// not leetspeak - left in, they'd fold into letters and hide the word
+function stripTrailingSymbols(name) {
+    return name.replace(/[^\p{L}\s]+(?=\s|$)/gu, '');
+}
+
+// Names that fold to the same key read as the same name - name bans compare these
+function nameKey(name) {
+    return readName(cleanName(name)).joined;
+}
+
+// One term per line; blank lines and # comments are skipped
+function readBlocklist(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(term => readName(term).joined)
+        .filter(Boolean);
+}
+
+// blocklistFile is NAME_BLOCKLIST_FILE, reservedNames the RESERVED_NAMES list (see config.js)
+function createNameModerator({ blocklistFile, reservedNames }) {
+    const blocklist = readBlocklist(blocklistFile).map(term => ({ term, squeezed: squeeze(term) }));
+    const reserved = reservedNames.map(name => readName(name).joined).filter(Boolean);
+
+    console.log(`Name moderation ready (${blocklist.length} blocked terms, ${reserved.length} reserved names)`);
+
+    // Returns { ok: false, error } for a name that can't be used, otherwise
+    // { ok: true, name, held, reason } - held names wait for review, reason says why
+    return function moderateName(rawName) {
+        const name = cleanName(rawName);
+        const { words, joined } = readName(name);
+        if (!name) {
+            return { ok: false, error: 'Name is required' };
+        }
+        const readings = [{ words, joined }, readName(stripTrailingSymbols(name))];
+        if (reserved.some(key => readings.some(reading => reading.joined === key || reading.words.includes(key)))) {
+            return { ok: false, error: 'That name is reserved - please pick another' };
+        }
+
+        // A blocked word on its own is rejected outright. Inside a longer word it may be
+        // innocent ("Scunthorpe"), so the entry is held for someone to look at.
+        const blockedWord = blocklist.find(({ term, squeezed }) => words.some(word =>
+            word === term || (word.length > term.length && squeeze(word) === squeezed)));
+        if (blockedWord) {
+            return { ok: false, error: "That name isn't allowed - keep it friendly" };
+        }
+        const embedded = blocklist.find(({ term, squeezed }) =>
+            term.length >= MIN_EMBEDDED_TERM_LENGTH && squeeze(joined).includes(squeezed));
+        if (embedded) {
+            return { ok: true, name, held: true, reason: `Contains "${embedded.term}"` };
+        }
+
+        return { ok: true, name, held: false, reason: null };
+    };
+}
+
+module.exports = { cleanName, nameKey, createNameModerator };
@@ -0,0 +1,13 @@
+// ============================================
+// REQUEST PARAMETERS
+// ============================================
+
+// Read a non-negative integer query parameter, clamped to max; null if it's garbage
+function readIntParam(value, fallback, max = Infinity) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) return null;
+    return Math.min(number, max);
+}
+
+module.exports = { readIntParam };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// ============================================
+// PLAYERS (Anonymous device identity)
+// ============================================
+// A player is a random id the server hands a device with the first score it
+// submits. The device keeps a signed token for it: the token is what proves a
+// score or a name claim comes from that player, while the id on its own only
+// addresses their public profile.
+const PLAYER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// secret is RUN_TOKEN_SECRET - without one (createRunTokens warns about it) player
+// tokens don't survive a restart and devices are handed new players
+function createPlayerTokens(secret) {
+    secret = secret || crypto.randomBytes(32).toString('hex');
+
+    // Prefixed so a player token can never pass for a run token or the other way round
+    function sign(id) {
+        return crypto.createHmac('sha256', secret).update(`player:${id}`).digest('base64url');
+    }
+
+    function tokenFor(id) {
+        return `${id}.${sign(id)}`;
+    }
+
+    return {
+        // { id, token } for a brand new player
+        issuePlayer() {
+            const id = crypto.randomUUID();
+            return { id, token: tokenFor(id) };
+        },
+
+        tokenFor,
+
+        // The player id a token was issued for, or null if it isn't a genuine token
+        readPlayerToken(token) {
+            if (typeof token !== 'string') return null;
+            const [id, signature] = token.split('.');
+            if (!PLAYER_ID_PATTERN.test(id || '')) return null;
+
+            const expected = sign(id);
+            if (!signature || signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                return null;
+            }
+            return id;
+        }
+    };
+}
+
+module.exports = { PLAYER_ID_PATTERN, createPlayerTokens };
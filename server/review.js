@@ -0,0 +1,64 @@
+const { createStorage } = require('./storage');
+const { loadConfig } = require('./config');
+const { createAuditLog } = require('./audit');
+
+// ============================================
+// NAME REVIEW (Command line)
+// ============================================
+// Entries whose names moderation wasn't sure about are held off the boards
+// until someone looks at them. Uses the same environment as the server, and
+// logs to the same audit log as the admin page.
+//
+//   npm run review                 List held entries
+//   npm run review -- approve 12   Put entry 12 on the boards
+//   npm run review -- reject 12    Delete entry 12
+const USAGE = 'Usage: npm run review [-- approve <id> | reject <id>]';
+
+function main([action, idArg]) {
+    const config = loadConfig();
+    const storage = createStorage({
+        backend: config.storageBackend,
+        databaseFile: config.databaseFile,
+        jsonFile: config.jsonFile
+    });
+
+    try {
+        if (action === undefined) {
+            const held = storage.getHeldEntries();
+            if (held.length === 0) {
+                console.log('No entries waiting for review');
+            }
+            held.forEach(entry => {
+                console.log(`#${entry.id}  ${JSON.stringify(entry.name)}  ${entry.score} pts  ${entry.created_at}  (${entry.reason})`);
+            });
+            return 0;
+        }
+
+        const id = Number(idArg);
+        if (!['approve', 'reject'].includes(action) || !Number.isInteger(id)) {
+            console.error(USAGE);
+            return 1;
+        }
+        const entry = storage.findEntry(id);
+        if (!entry || !entry.held || !storage.reviewEntry(id, action === 'approve')) {
+            console.error(`No held entry #${id}`);
+            return 1;
+        }
+        createAuditLog(config.auditLogFile).record(action === 'approve' ? 'entry.approve' : 'entry.delete', {
+            via: 'command line',
+            entry: { id: entry.id, name: entry.name, score: entry.score },
+            reason: entry.reason
+        });
+        console.log(action === 'approve' ? `Approved entry #${id}` : `Deleted entry #${id}`);
+        return 0;
+    } finally {
+        storage.close();
+    }
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// ============================================
+// RUN SESSIONS (Signed run tokens)
+// ============================================
+// POST /api/runs hands out a seed and a token signed with RUN_TOKEN_SECRET.
+// A score is only accepted with a token, so every entry started as a real game.
+const RUN_TOKEN_MAX_AGE = 2 * 60 * 60 * 1000; // Longest plausible run, pauses included
+
+// secret is RUN_TOKEN_SECRET; without one tokens are signed with a random key
+// and don't survive a restart
+function createRunTokens(secret) {
+    if (!secret) {
+        console.warn('RUN_TOKEN_SECRET is not set - run tokens will not survive a restart');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    function issueRunToken() {
+        const run = {
+            id: crypto.randomUUID(),
+            seed: crypto.randomBytes(4).readUInt32BE(0),
+            issuedAt: Date.now()
+        };
+        const payload = Buffer.from(JSON.stringify(run)).toString('base64url');
+        return { token: `${payload}.${sign(payload)}`, seed: run.seed };
+    }
+
+    // Returns { ok: true, run } for a genuine, unexpired token, otherwise { ok: false, error }
+    function readRunToken(token, now = Date.now()) {
+        if (typeof token !== 'string') return { ok: false, error: 'Run token is required' };
+
+        const [payload, signature] = token.split('.');
+        const expected = sign(payload || '');
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return { ok: false, error: 'Invalid run token' };
+        }
+
+        const run = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (now - run.issuedAt > RUN_TOKEN_MAX_AGE) {
+            return { ok: false, error: 'Run token has expired' };
+        }
+        return { ok: true, run };
+    }
+
+    return { issueRunToken, readRunToken };
+}
+
+module.exports = { RUN_TOKEN_MAX_AGE, createRunTokens };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// PUBLIC ASSETS (What the server hands out)
+// ============================================
+// Only the game itself is served - never the server code, the leaderboard data
+// or anything else that happens to sit in the repository.
+const GAME_ROOT = path.join(__dirname, '..');
+const PUBLIC_FILES = ['index.html', 'game.js', 'leaderboard.js', 'history.js', 'styles.css'];
+const ADMIN_FILES = ['admin.html', 'admin.js', 'admin.css'];
+const PUBLIC_DIRECTORIES = ['core', 'sectors'];
+
+// admin adds the admin page (only when ADMIN_TOKEN is set - it's useless without it)
+function publicAssets({ admin = false } = {}) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => res.sendFile(path.join(GAME_ROOT, 'index.html')));
+    [...PUBLIC_FILES, ...(admin ? ADMIN_FILES : [])].forEach(file => {
+        router.get(`/${file}`, (req, res) => res.sendFile(path.join(GAME_ROOT, file)));
+    });
+    PUBLIC_DIRECTORIES.forEach(directory => {
+        router.use(`/${directory}`, express.static(path.join(GAME_ROOT, directory), { index: false }));
+    });
+
+    return router;
+}
+
+// ============================================
+// SECURITY HEADERS
+// ============================================
+// The CSP allows the game's own files, three.js from unpkg (see the import map in
+// index.html), Google Fonts and the leaderboard API. Inline scripts are allowed by
+// hash, worked out from index.html at startup so editing the import map just works.
+function inlineScriptHashes(file) {
+    const html = fs.readFileSync(file, 'utf8');
+    return [...html.matchAll(/<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/g)]
+        .map(([, script]) => `'sha256-${crypto.createHash('sha256').update(script).digest('base64')}'`);
+}
+
+// apiOrigin is where the game is told to find the API (PUBLIC_API_BASE_URL), if not here
+function securityHeaders({ apiOrigin = null } = {}) {
+    const policy = [
+        "default-src 'self'",
+        `script-src 'self' https://unpkg.com ${inlineScriptHashes(path.join(GAME_ROOT, 'index.html')).join(' ')}`,
+        "style-src 'self' https://fonts.googleapis.com",
+        "font-src https://fonts.gstatic.com",
+        "img-src 'self' data: blob:",
+        `connect-src 'self'${apiOrigin ? ` ${apiOrigin}` : ''}`,
+        "object-src 'none'",
+        "base-uri 'self'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': policy,
+            'X-Frame-Options': 'DENY',
+            'X-Content-Type-Options': 'nosniff',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+        });
+        next();
+    };
+}
+
+module.exports = { publicAssets, securityHeaders };
@@ -1,113 +1,372 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
+const { createStorage } = require('./storage');
+const { loadVerifier } = require('./verify');
+const { RUN_TOKEN_MAX_AGE, createRunTokens } = require('./runs');
+const { PLAYER_ID_PATTERN, createPlayerTokens } = require('./players');
+const { LEADERBOARD_WINDOWS, windowStart } = require('./windows');
+const { createLiveBoards } = require('./live');
+const { loadConfig } = require('./config');
+const { publicAssets, securityHeaders } = require('./security');
+const { createSubmissionLimits } = require('./limits');
+const { nameKey, createNameModerator } = require('./moderation');
+const { readIntParam } = require('./params');
+const { createAdminApi } = require('./admin');
+const { createAuditLog } = require('./audit');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const { issueRunToken, readRunToken } = createRunTokens(config.runTokenSecret);
+const { issuePlayer, tokenFor, readPlayerToken } = createPlayerTokens(config.runTokenSecret);
+
+// Request bodies - scores carry a replay, nothing else needs more than a few kB
+const SCORE_BODY_LIMIT = '256kb';
+const BODY_LIMIT = '16kb';
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '..')));
+app.disable('x-powered-by');
+app.set('trust proxy', config.trustProxy); // So req.ip is the client, not the proxy
+if (process.env.NODE_ENV === 'production' && config.trustProxy === 0) {
+    console.warn('TRUST_PROXY is 0 - behind a proxy every player shares its IP, and so its rate limits and bans');
+}
+app.use(securityHeaders({ apiOrigin: config.publicApiBaseUrl ? new URL(config.publicApiBaseUrl).origin : null }));
+app.use(cors({ origin: config.corsOrigins, exposedHeaders: ['X-Total-Count'] }));
+// Registered first so it parses score submissions before the smaller general limit applies
+app.post('/api/leaderboard', express.json({ limit: SCORE_BODY_LIMIT }));
+app.use(express.json({ limit: BODY_LIMIT }));
+if (config.features.serveGame) {
+    app.use(publicAssets({ admin: config.adminToken !== null }));
+}
 
-// Data file path
-const DATA_FILE = path.join(__dirname, 'leaderboard.json');
+// Score limits follow the sector manifest so new sectors don't need a server change
+const SECTOR_COUNT = require('../sectors/index.json').sectors.length;
+const MAX_POINTS_PER_SECTOR = 10;
+const MAX_SCORE = SECTOR_COUNT * MAX_POINTS_PER_SECTOR;
+// Unlocking characters is tracked on the device, so locked ones are accepted too
+const CHARACTERS = ['chicken', 'banana', 'skier', 'turtle', 'delorean'];
+// Abilities runs are ranked apart so classic scores stay comparable
+const MODES = ['classic', 'abilities'];
+const LEADERBOARD_BOARDS = ['score', 'furthest'];
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{8,64}$/;
 
-// Initialize data file if it doesn't exist
-function initDataFile() {
-    if (!fs.existsSync(DATA_FILE)) {
-        fs.writeFileSync(DATA_FILE, JSON.stringify({ entries: [], nextId: 1 }, null, 2));
-    }
+// Page sizes for GET /api/leaderboard and /around/:id
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_AROUND_SPAN = 2;
+const MAX_AROUND_SPAN = 10;
+const PROFILE_RECENT_RUNS = 10;
+
+// Open /api/leaderboard/stream connections
+const liveBoards = createLiveBoards();
+
+// Per-IP and per-name submission rates, and bans for IPs that keep sending bad scores
+const submissionLimits = createSubmissionLimits(config.submitLimits);
+
+// Admin actions, one JSON line each
+const audit = createAuditLog(config.auditLogFile);
+
+// Set at startup
+let storage = null;
+let verifyRun = null; // Re-simulates replays submitted with a score
+let moderateName = null; // Cleans names and checks them against the blocklist
+
+// Runtime settings for the game (see LeaderboardAPI in leaderboard.js). An empty
+// apiBaseUrl means the API is on the same origin as the page.
+app.get('/config.json', (req, res) => {
+    res.json({ apiBaseUrl: config.publicApiBaseUrl });
+});
+
+// API Endpoints
+
+// Start a run - the token must come back with the score
+app.post('/api/runs', (req, res) => {
+    res.json(issueRunToken());
+});
+
+// Sector number from a path or query parameter; null if it isn't one of ours
+function readSectorParam(value) {
+    const sector = readIntParam(value, null);
+    return sector !== null && sector >= 1 && sector <= SECTOR_COUNT ? sector : null;
 }
 
-// Read leaderboard data
-function readData() {
-    initDataFile();
-    try {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading data file:', error);
-        return { entries: [], nextId: 1 };
+// Page and filters shared by the leaderboard listings; { error } if any are garbage
+function readBoardQuery(query) {
+    const limit = readIntParam(query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = readIntParam(query.offset, 0);
+    if (limit === null || offset === null) {
+        return { error: 'Invalid limit or offset' };
+    }
+    const boardWindow = query.window || 'all';
+    if (!LEADERBOARD_WINDOWS.includes(boardWindow)) {
+        return { error: `Window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` };
+    }
+    const character = query.character || null;
+    if (character !== null && !CHARACTERS.includes(character)) {
+        return { error: `Character must be one of ${CHARACTERS.join(', ')}` };
     }
+    const mode = query.mode || 'classic';
+    if (!MODES.includes(mode)) {
+        return { error: `Mode must be one of ${MODES.join(', ')}` };
+    }
+
+    return {
+        limit,
+        offset,
+        character,
+        mode,
+        verifiedOnly: query.verified !== 'false',
+        since: windowStart(boardWindow, config.leaderboardTimeZone)
+    };
 }
 
-// Write leaderboard data
-function writeData(data) {
+// Get a page of a board, top 10 by default (?limit=&offset=, ?verified=false to
+// include runs without a verified replay, ?window=today|week|month|all - all by default,
+// ?character= for one character's runs, ?mode=abilities for the abilities mode board
+// instead of classic, ?board=furthest to rank runs that died by the sector they
+// reached). The total number of entries is in X-Total-Count.
+app.get('/api/leaderboard', (req, res) => {
+    const options = readBoardQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+    const board = req.query.board || 'score';
+    if (!LEADERBOARD_BOARDS.includes(board)) {
+        return res.status(400).json({ error: `Board must be one of ${LEADERBOARD_BOARDS.join(', ')}` });
+    }
+
     try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-        return true;
+        const { entries, total } = storage.getEntries({ ...options, board });
+        res.set('X-Total-Count', String(total));
+        res.json(entries);
     } catch (error) {
-        console.error('Error writing data file:', error);
-        return false;
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
     }
-}
+});
 
-// API Endpoints
+// Get the quickest clears of one sector, each with its time in ms. Takes the same
+// paging and filters as /api/leaderboard, but only ever lists verified runs; the
+// total is in X-Total-Count.
+app.get('/api/leaderboard/sectors/:sector', (req, res) => {
+    const sector = readSectorParam(req.params.sector);
+    if (sector === null) {
+        return res.status(400).json({ error: 'Invalid sector' });
+    }
+    const options = readBoardQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
 
-// Get top 10 scores
-app.get('/api/leaderboard', (req, res) => {
     try {
-        const data = readData();
-        const topScores = data.entries
-            .sort((a, b) => b.score - a.score || new Date(a.created_at) - new Date(b.created_at))
-            .slice(0, 10);
-        res.json(topScores);
+        const { entries, total } = storage.getSectorTimes({ ...options, sector, verifiedOnly: true });
+        res.set('X-Total-Count', String(total));
+        res.json(entries);
     } catch (error) {
-        console.error('Error fetching leaderboard:', error);
-        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+        console.error('Error fetching sector times:', error);
+        res.status(500).json({ error: 'Failed to fetch sector times' });
+    }
+});
+
+// Follow a board live over Server-Sent Events: a 'leaderboard' event with the entries
+// straight away, then again whenever they change. Takes the same filters as
+// /api/leaderboard, or ?board=sectors&sector= for a sector's best times.
+app.get('/api/leaderboard/stream', (req, res) => {
+    if (!config.features.liveUpdates) {
+        return res.status(404).json({ error: 'Live updates are turned off' });
+    }
+    const options = readBoardQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+    const board = req.query.board || 'score';
+    if (board !== 'sectors' && !LEADERBOARD_BOARDS.includes(board)) {
+        return res.status(400).json({ error: `Board must be one of ${[...LEADERBOARD_BOARDS, 'sectors'].join(', ')}` });
+    }
+    const sector = board === 'sectors' ? readSectorParam(req.query.sector) : null;
+    if (board === 'sectors' && sector === null) {
+        return res.status(400).json({ error: 'Invalid sector' });
+    }
+
+    // The window's start is worked out on every read so a stream left open rolls over into the next day
+    const since = () => windowStart(req.query.window || 'all', config.leaderboardTimeZone, Date.now());
+    const load = board === 'sectors'
+        ? () => storage.getSectorTimes({ ...options, since: since(), sector, verifiedOnly: true }).entries
+        : () => storage.getEntries({ ...options, since: since(), board }).entries;
+    if (!liveBoards.subscribe(req, res, load)) {
+        res.status(503).json({ error: 'Too many live viewers - try again later' });
     }
 });
 
-// Submit a new score
+// 429 with { error, code, retryAfter } from createSubmissionLimits, and Retry-After to match
+function sendTooManyRequests(res, limit) {
+    res.set('Retry-After', String(limit.retryAfter));
+    res.status(429).json(limit);
+}
+
+// Submit a new score. An Idempotency-Key header makes retries safe: a key that's
+// already been recorded gets the original entry back instead of a second one.
+// mode is 'classic' (the default) or 'abilities' - each has boards of its own.
+// playerToken says which player the score is from; without a valid one the score
+// starts a new player and the response carries player: { id, token } to keep.
+// Submissions are rate limited per IP and per name (429 when over). A name that
+// can't be used is a 400 with field: 'name'; one that needs a second look is
+// recorded but held off the boards until approved (held: true). Names and IPs an
+// admin has banned are turned away.
 app.post('/api/leaderboard', (req, res) => {
-    const { name, score, level, character } = req.body;
+    const { name, score, level, character, mode = 'classic', replay, runToken, breakdown, playerToken } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    const playerId = readPlayerToken(playerToken);
+    const now = Date.now();
+
+    // Every invalid submission counts towards a ban. field names the input that was wrong.
+    function reject(error, field = undefined) {
+        submissionLimits.recordInvalid(req.ip, now);
+        return res.status(400).json({ error, field });
+    }
+
+    const clientLimit = submissionLimits.checkClient(req.ip, now);
+    if (clientLimit) {
+        return sendTooManyRequests(res, clientLimit);
+    }
+    const bans = storage.getBans(new Date(now).toISOString());
+    if (bans.some(ban => ban.kind === 'ip' && ban.value === req.ip)) {
+        return res.status(403).json({ error: 'You have been banned from the leaderboard', code: 'banned' });
+    }
+    if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        return reject('Invalid idempotency key');
+    }
+    if (idempotencyKey !== null) {
+        try {
+            const previous = storage.findSubmission(idempotencyKey);
+            if (previous) {
+                // The first response may never have arrived, so hand its new player out again
+                const player = !playerId && previous.playerId
+                    ? { id: previous.playerId, token: tokenFor(previous.playerId) }
+                    : undefined;
+                return res.json({ success: true, id: previous.id, rank: previous.rank, held: previous.held, player });
+            }
+        } catch (error) {
+            console.error('Error checking submission:', error);
+            return res.status(500).json({ error: 'Failed to save score' });
+        }
+    }
 
     // Validation
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        return res.status(400).json({ error: 'Name is required' });
+    if (!name || typeof name !== 'string') {
+        return reject('Name is required', 'name');
     }
-    if (typeof score !== 'number' || score < 0 || score > 120) {
-        return res.status(400).json({ error: 'Invalid score' });
+    const moderation = moderateName(name);
+    if (!moderation.ok) {
+        return reject(moderation.error, 'name');
+    }
+    const key = nameKey(moderation.name);
+    if (bans.some(ban => ban.kind === 'name' && nameKey(ban.value) === key)) {
+        return reject('That name has been banned - please pick another', 'name');
+    }
+    const claim = storage.getNameClaim(key);
+    if (claim && claim.player_id !== playerId) {
+        return reject('That name belongs to another player - please pick another', 'name');
     }
-    if (typeof level !== 'number' || level < 1 || level > 12) {
-        return res.status(400).json({ error: 'Invalid level' });
+    if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+        return reject('Invalid score');
+    }
+    if (!Number.isInteger(level) || level < 1 || level > SECTOR_COUNT) {
+        return reject('Invalid level');
+    }
+    if (!MODES.includes(mode)) {
+        return reject('Invalid mode');
     }
 
-    const sanitizedName = name.trim().substring(0, 20); // Max 20 chars
-    const validCharacters = ['chicken', 'banana', 'skier', 'turtle'];
-    const sanitizedCharacter = validCharacters.includes(character) ? character : 'chicken';
+    const sanitizedName = moderation.name;
+    const sanitizedCharacter = CHARACTERS.includes(character) ? character : 'chicken';
+
+    const nameLimit = submissionLimits.checkName(sanitizedName, now);
+    if (nameLimit) {
+        return sendTooManyRequests(res, nameLimit);
+    }
+
+    const session = readRunToken(runToken, now);
+    if (!session.ok) {
+        return reject(session.error);
+    }
+    if (replay === undefined && !config.features.unverifiedScores) {
+        return reject('A replay is required');
+    }
+    if (replay && replay.seed !== session.run.seed) {
+        return reject('Replay is not from this run');
+    }
+
+    // Scores without a replay are only accepted with UNVERIFIED_SCORES on, and are never
+    // marked verified - so they stay off the default and sector-time boards.
+    // A replay's own sector breakdown wins over any the client sent alongside it.
+    // Only verified runs count towards the player's achievements.
+    const verification = verifyRun({
+        replay, score, level, character: sanitizedCharacter, mode, breakdown,
+        progress: playerId ? storage.getPlayerProgress(playerId) : null
+    });
+    if (!verification.ok && verification.mismatch) {
+        return res.status(400).json({ error: verification.error }); // Not a strike - see verify.js
+    }
+    if (!verification.ok) {
+        return reject(verification.error);
+    }
+    // Each sector cleared is worth at most MAX_POINTS_PER_SECTOR; the one a run died in, nothing
+    if (score > (verification.won ? level : level - 1) * MAX_POINTS_PER_SECTOR) {
+        return reject('Invalid score');
+    }
+    if (now - session.run.issuedAt < verification.minDuration) {
+        return reject('Run finished faster than possible');
+    }
+
+    const newPlayer = playerId ? null : issuePlayer();
 
     try {
-        const data = readData();
+        // Forget used run tokens once they'd be rejected as expired anyway
+        storage.pruneUsedRuns(now - RUN_TOKEN_MAX_AGE);
 
-        const newEntry = {
-            id: data.nextId++,
+        // One score per run
+        const result = storage.recordScore({
             name: sanitizedName,
             score: score,
             level: level,
             character: sanitizedCharacter,
-            created_at: new Date().toISOString()
-        };
-
-        data.entries.push(newEntry);
-
-        // Keep only top 100 entries to prevent file from growing too large
-        data.entries.sort((a, b) => b.score - a.score);
-        if (data.entries.length > 100) {
-            data.entries = data.entries.slice(0, 100);
+            mode,
+            verified: verification.verified,
+            won: verification.won,
+            breakdown: verification.breakdown,
+            seed: session.run.seed,
+            created_at: new Date(now).toISOString(),
+            idempotency_key: idempotencyKey,
+            held: moderation.held,
+            held_reason: moderation.reason,
+            ip: req.ip,
+            player_id: playerId || newPlayer.id
+        }, session.run);
+        if (!result) {
+            return res.status(409).json({ error: 'Score already submitted for this run' });
+        }
+        if (verification.progress) {
+            storage.savePlayerProgress(playerId || newPlayer.id, verification.progress, new Date(now).toISOString());
+        }
+        if (moderation.held) {
+            console.log(`Entry ${result.id} held for review: ${moderation.reason}`);
+        } else {
+            liveBoards.publish();
         }
-
-        writeData(data);
-
-        // Calculate rank
-        const rank = data.entries.findIndex(e => e.id === newEntry.id) + 1;
 
         res.json({
             success: true,
-            id: newEntry.id,
-            rank: rank
+            id: result.id,
+            rank: result.rank,
+            held: moderation.held,
+            player: newPlayer || undefined
         });
     } catch (error) {
         console.error('Error saving score:', error);
@@ -115,26 +374,219 @@ app.post('/api/leaderboard', (req, res) => {
     }
 });
 
-// Get player's rank for a specific score
+// Get one entry with its per-sector breakdown (time, points, hits and hops)
+app.get('/api/leaderboard/entries/:id', (req, res) => {
+    const id = readIntParam(req.params.id, null);
+    if (id === null) {
+        return res.status(400).json({ error: 'Invalid id' });
+    }
+
+    try {
+        const entry = storage.getEntry(id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        res.json(entry);
+    } catch (error) {
+        console.error('Error fetching entry:', error);
+        res.status(500).json({ error: 'Failed to fetch entry' });
+    }
+});
+
+// Get an entry and its neighbours above and below (?span=, default 2 each side)
+app.get('/api/leaderboard/around/:id', (req, res) => {
+    const id = readIntParam(req.params.id, null);
+    const span = readIntParam(req.query.span, DEFAULT_AROUND_SPAN, MAX_AROUND_SPAN);
+    if (id === null || span === null) {
+        return res.status(400).json({ error: 'Invalid id or span' });
+    }
+
+    try {
+        const around = storage.getEntriesAround(id, span);
+        if (!around) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        res.json(around);
+    } catch (error) {
+        console.error('Error fetching entries around:', error);
+        res.status(500).json({ error: 'Failed to fetch entries' });
+    }
+});
+
+// A player's profile: the name they go by (claimedName if they've claimed one), how
+// many runs they have on the boards, their personal best in each mode they've played
+// with its rank on that mode's board (personalBests), favourite character, most recent runs and the achievements their verified runs have earned
+// ([{ id, unlockedAt }], oldest first)
+app.get('/api/players/:id', (req, res) => {
+    const id = req.params.id;
+    if (!PLAYER_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid player id' });
+    }
+
+    try {
+        const profile = storage.getPlayerProfile(id, PROFILE_RECENT_RUNS);
+        const claim = storage.getPlayerClaim(id);
+        if (profile.runs === 0 && !claim) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        const latestName = profile.recentRuns.length > 0 ? profile.recentRuns[0].name : null;
+        const progress = storage.getPlayerProgress(id);
+        const achievements = Object.entries(progress ? progress.unlocked : {})
+            .map(([achievement, unlockedAt]) => ({ id: achievement, unlockedAt }))
+            .sort((a, b) => a.unlockedAt.localeCompare(b.unlockedAt));
+        res.json({ id, name: claim ? claim.name : latestName, claimedName: claim ? claim.name : null, ...profile, achievements });
+    } catch (error) {
+        console.error('Error fetching player:', error);
+        res.status(500).json({ error: 'Failed to fetch player' });
+    }
+});
+
+// The player whose token is in "Authorization: Bearer <playerToken>", if it's the one in
+// the path; otherwise answers 401 and returns null
+function readPlayerAuth(req, res) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const playerId = scheme === 'Bearer' ? readPlayerToken(token) : null;
+    if (!playerId || playerId !== req.params.id) {
+        res.status(401).json({ error: 'Player token required' });
+        return null;
+    }
+    return playerId;
+}
+
+// Claim a name ({ name }) so nobody else can submit scores under it. A player has one
+// name at a time - claiming another lets the old one go. Same checks as a score's name.
+app.put('/api/players/:id/name', (req, res) => {
+    const playerId = readPlayerAuth(req, res);
+    if (!playerId) return;
+    const now = Date.now();
+
+    const claimLimit = submissionLimits.checkClaim(req.ip, playerId, now);
+    if (claimLimit) {
+        return sendTooManyRequests(res, claimLimit);
+    }
+    if (typeof req.body.name !== 'string') {
+        return res.status(400).json({ error: 'Name is required', field: 'name' });
+    }
+    const moderation = moderateName(req.body.name);
+    if (!moderation.ok) {
+        return res.status(400).json({ error: moderation.error, field: 'name' });
+    }
+    if (moderation.held) {
+        return res.status(400).json({ error: "That name can't be claimed - please pick another", field: 'name' });
+    }
+
+    try {
+        const key = nameKey(moderation.name);
+        const bans = storage.getBans(new Date(now).toISOString());
+        if (bans.some(ban => ban.kind === 'name' && nameKey(ban.value) === key)) {
+            return res.status(400).json({ error: 'That name has been banned - please pick another', field: 'name' });
+        }
+        const claimed = storage.claimName({
+            name_key: key,
+            player_id: playerId,
+            name: moderation.name,
+            claimed_at: new Date(now).toISOString()
+        });
+        if (!claimed) {
+            return res.status(409).json({ error: 'That name belongs to another player', field: 'name' });
+        }
+        res.json({ success: true, name: moderation.name });
+    } catch (error) {
+        console.error('Error claiming name:', error);
+        res.status(500).json({ error: 'Failed to claim name' });
+    }
+});
+
+// Let go of the player's claimed name
+app.delete('/api/players/:id/name', (req, res) => {
+    const playerId = readPlayerAuth(req, res);
+    if (!playerId) return;
+
+    try {
+        if (!storage.releaseName(playerId)) {
+            return res.status(404).json({ error: 'No name claimed' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error releasing name:', error);
+        res.status(500).json({ error: 'Failed to release name' });
+    }
+});
+
+// Get player's rank for a specific score (?mode=abilities for the abilities board)
 app.get('/api/leaderboard/rank/:score', (req, res) => {
     const score = parseInt(req.params.score);
     if (isNaN(score)) {
         return res.status(400).json({ error: 'Invalid score' });
     }
+    const mode = req.query.mode || 'classic';
+    if (!MODES.includes(mode)) {
+        return res.status(400).json({ error: `Mode must be one of ${MODES.join(', ')}` });
+    }
 
     try {
-        const data = readData();
-        const higherScores = data.entries.filter(e => e.score > score).length;
-        res.json({ rank: higherScores + 1 });
+        res.json({ rank: storage.getRankForScore(score, mode) });
     } catch (error) {
         console.error('Error getting rank:', error);
         res.status(500).json({ error: 'Failed to get rank' });
     }
 });
 
+// Admin API - only there if ADMIN_TOKEN is set
+if (config.adminToken !== null) {
+    app.use('/api/admin', createAdminApi({
+        token: config.adminToken,
+        getStorage: () => storage,
+        audit,
+        timeZone: config.leaderboardTimeZone,
+        onChange: () => liveBoards.publish()
+    }));
+}
+
+// Errors thrown outside a route's own handling, e.g. a body that's too big or isn't JSON
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    console.error('Unhandled error:', error);
+    res.status(500).json({ error: 'Something went wrong' });
+});
+
 // Initialize and start server
-initDataFile();
-app.listen(PORT, () => {
-    console.log(`Leaderboard server running on http://localhost:${PORT}`);
-    console.log(`Game available at http://localhost:${PORT}/index.html`);
+async function start() {
+    storage = createStorage({
+        backend: config.storageBackend,
+        databaseFile: config.databaseFile,
+        jsonFile: config.jsonFile
+    });
+    // Scores from before replays (and any let in by UNVERIFIED_SCORES) are kept, but only
+    // listed with ?verified=false - say so, rather than let them vanish from the boards quietly
+    const unverified = MODES.reduce((total, mode) => total +
+        storage.getEntries({ limit: 0, mode, verifiedOnly: false }).total - storage.getEntries({ limit: 0, mode }).total, 0);
+    if (unverified > 0) {
+        console.log(`${unverified} entries have no verified replay - they're off the default boards (see them with ?verified=false)`);
+    }
+    verifyRun = await loadVerifier();
+    moderateName = createNameModerator({
+        blocklistFile: config.nameBlocklistFile,
+        reservedNames: config.reservedNames
+    });
+
+    app.listen(config.port, () => {
+        console.log(`Leaderboard server running on http://localhost:${config.port} (day boundaries in ${config.leaderboardTimeZone})`);
+        if (config.features.serveGame) {
+            console.log(`Game available at http://localhost:${config.port}/index.html`);
+        }
+        if (config.features.serveGame && config.adminToken !== null) {
+            console.log(`Admin page at http://localhost:${config.port}/admin.html`);
+        }
+    });
+}
+
+start().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
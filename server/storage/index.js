@@ -0,0 +1,37 @@
+const path = require('path');
+
+// ============================================
+// STORAGE (Pick a backend)
+// ============================================
+// backend is 'sqlite' (default) or 'json' - STORAGE_BACKEND in config.js. Both expose
+// the same synchronous interface: getEntries, getSectorTimes, getEntry, getEntriesAround,
+// recordScore, findSubmission, getHeldEntries, reviewEntry, getRankForScore, pruneUsedRuns,
+// the player tools (getPlayerProfile, getNameClaim, getPlayerClaim, claimName, releaseName,
+// getPlayerProgress, savePlayerProgress) and close, plus the admin tools: findEntry, searchEntries, setEntryHidden, hideEntriesSince,
+// renameEntry, deleteEntry, getBans, addBan and removeBan.
+const DATA_DIR = path.join(__dirname, '..');
+const JSON_FILE = path.join(DATA_DIR, 'leaderboard.json');
+
+function createStorage({
+    backend = 'sqlite',
+    databaseFile = path.join(DATA_DIR, 'leaderboard.db'),
+    jsonFile = JSON_FILE
+} = {}) {
+    switch (backend) {
+        case 'sqlite': {
+            // Required here so the JSON backend works without the native module
+            const { createSqliteStorage } = require('./sqlite');
+            console.log(`Using SQLite storage at ${databaseFile}`);
+            return createSqliteStorage({ file: databaseFile, importFile: jsonFile });
+        }
+        case 'json': {
+            const { createJsonStorage } = require('./json');
+            console.log(`Using JSON file storage at ${jsonFile}`);
+            return createJsonStorage({ file: jsonFile });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected sqlite or json)`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,340 @@
+const fs = require('fs');
+
+// ============================================
+// JSON FILE STORAGE (Development backend)
+// ============================================
+// The whole leaderboard lives in one file that's re-read and rewritten on
+// every change. Handy for poking at data by hand; use SQLite in production.
+
+const byRank = (a, b) => b.score - a.score || a.id - b.id;
+const byFurthest = (a, b) => b.level - a.level || byRank(a, b);
+// Listings leave the breakdown out, same as the SQLite backend - getEntry() has it
+const withoutBreakdown = ({ breakdown, ...entry }) => entry;
+// Held and hidden entries aren't on the boards
+const isListed = entry => !entry.held && !entry.hidden;
+// Entries from before game modes are classic
+const modeOf = entry => entry.mode || 'classic';
+// Only replay-verified entries are ranked; the rest are only on ?verified=false boards
+const isRanked = entry => isListed(entry) && Boolean(entry.verified);
+// Where an entry ranks among those on its mode's board
+const rankOf = (entries, entry) => entries.filter(other =>
+    isRanked(other) && modeOf(other) === modeOf(entry) && byRank(other, entry) < 0).length + 1;
+// Admin listings have everything but the idempotency key and breakdown
+const toAdminEntry = ({ idempotency_key, breakdown, held_reason, player_id, ...entry }) => ({
+    mode: 'classic',
+    verified: false,
+    won: false,
+    seed: null,
+    ip: null,
+    ...entry,
+    hidden: Boolean(entry.hidden),
+    held: Boolean(entry.held),
+    reason: held_reason ?? null,
+    player: player_id ?? null
+});
+const ADMIN_STATUSES = {
+    all: () => true,
+    visible: isListed,
+    hidden: entry => entry.hidden,
+    held: entry => entry.held
+};
+
+function createJsonStorage({ file }) {
+    function readData() {
+        if (!fs.existsSync(file)) return { entries: [], nextId: 1, usedRuns: {}, bans: [], nextBanId: 1, claims: [], progress: {} };
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        data.usedRuns = data.usedRuns || {};
+        data.bans = data.bans || [];
+        data.claims = data.claims || [];
+        data.progress = data.progress || {};
+        data.nextBanId = data.nextBanId || 1;
+        return data;
+    }
+
+    // Write to a temp file and rename it over the old one, so a crash mid-write
+    // leaves the previous version intact instead of a truncated file
+    function writeData(data) {
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tempFile, file);
+    }
+
+    // Every entry that passes the mode, verified-only (on unless turned off), time window, character and
+    // player filters (a player's entries are from every mode). Entries held for review or hidden by an admin are left out.
+    function filteredEntries({ mode = 'classic', verifiedOnly = true, since = null, character = null, player = null } = {}) {
+        return readData().entries
+            .filter(isListed)
+            .filter(entry => (player ? entry.player_id === player : modeOf(entry) === mode))
+            .map(({ idempotency_key, held, held_reason, hidden, ip, player_id, ...entry }) =>
+                ({ mode: 'classic', verified: false, won: false, seed: null, breakdown: [], ...entry }))
+            .filter(entry => !verifiedOnly || entry.verified)
+            .filter(entry => !since || entry.created_at >= since)
+            .filter(entry => !character || entry.character === character);
+    }
+
+    // A whole board ('score' or 'furthest') in rank order, each entry carrying its rank.
+    // furthest only ranks runs that died.
+    function rankedEntries({ board = 'score', ...options } = {}) {
+        const entries = filteredEntries(options);
+        const ranked = board === 'furthest'
+            ? entries.filter(entry => !entry.won).sort(byFurthest)
+            : entries.sort(byRank);
+        return ranked.map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+
+    // Change one entry in place and save; false if there's no such entry
+    function updateEntry(id, change) {
+        const data = readData();
+        const entry = data.entries.find(other => other.id === id);
+        if (!entry) return false;
+        change(entry);
+        writeData(data);
+        return true;
+    }
+
+    return {
+        getEntries({ limit, offset = 0, ...options }) {
+            const entries = rankedEntries(options);
+            return { entries: entries.slice(offset, offset + limit).map(withoutBreakdown), total: entries.length };
+        },
+
+        // One page of the quickest clears of a sector; each entry carries its rank and time (ms)
+        getSectorTimes({ sector, limit, offset = 0, ...options }) {
+            const entries = filteredEntries(options)
+                .filter(entry => entry.breakdown[sector - 1]?.cleared)
+                .map(entry => ({ ...entry, time: entry.breakdown[sector - 1].time }))
+                .sort((a, b) => a.time - b.time || a.id - b.id)
+                .map((entry, index) => ({ ...entry, rank: index + 1 }));
+            return { entries: entries.slice(offset, offset + limit).map(withoutBreakdown), total: entries.length };
+        },
+
+        // A single entry with its rank and per-sector breakdown, or null if there's no such entry
+        getEntry(id) {
+            const entry = readData().entries.find(other => other.id === id);
+            if (!entry) return null;
+            const listed = filteredEntries({ mode: modeOf(entry), verifiedOnly: false }).find(other => other.id === id);
+            return listed ? { ...listed, rank: rankOf(readData().entries, entry) } : null;
+        },
+
+        // The entry plus up to `span` entries either side of it, or null if there's no such entry
+        getEntriesAround(id, span) {
+            const entry = readData().entries.find(other => other.id === id);
+            if (!entry) return null;
+            const entries = rankedEntries({ mode: modeOf(entry) });
+            const index = entries.findIndex(entry => entry.id === id);
+            if (index === -1) return null;
+
+            return {
+                rank: index + 1,
+                entries: entries.slice(Math.max(0, index - span), index + span + 1).map(withoutBreakdown)
+            };
+        },
+
+        // Returns { id, rank }, or null if the run already has a score.
+        // A held entry gets the rank it'll have once approved.
+        recordScore(entry, run) {
+            const data = readData();
+            if (data.usedRuns[run.id]) return null;
+            data.usedRuns[run.id] = run.issuedAt;
+
+            const newEntry = { id: data.nextId++, ...entry };
+            data.entries.push(newEntry);
+            data.entries.sort(byRank);
+            writeData(data);
+
+            return { id: newEntry.id, rank: rankOf(data.entries, newEntry) };
+        },
+
+        // { id, rank, held, playerId } of the entry a submission with this idempotency key made, or null
+        findSubmission(key) {
+            const entries = readData().entries;
+            const entry = entries.find(other => other.idempotency_key === key);
+            if (!entry) return null;
+            return { id: entry.id, rank: rankOf(entries, entry), held: Boolean(entry.held), playerId: entry.player_id ?? null };
+        },
+
+        // { runs, personalBests, favouriteCharacter, recentRuns } for a player's scores on the
+        // boards - personalBests maps each mode they've played to their best entry there, with
+        // its rank on that mode's board; recentRuns is empty if there are none
+        getPlayerProfile(playerId, recentLimit) {
+            const runs = filteredEntries({ player: playerId, verifiedOnly: false }).map(withoutBreakdown);
+            const personalBests = {};
+            [...runs].sort(byRank).forEach(run => {
+                personalBests[run.mode] = personalBests[run.mode] || { ...run, rank: rankOf(readData().entries, run) };
+            });
+            const recentRuns = [...runs].sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+
+            // Most played, ties going to the one played most recently
+            const counts = {};
+            runs.forEach(run => { counts[run.character] = (counts[run.character] || 0) + 1; });
+            const favouriteCharacter = recentRuns.reduce((favourite, { character }) =>
+                (favourite === null || counts[character] > counts[favourite] ? character : favourite), null);
+
+            return {
+                runs: runs.length,
+                personalBests,
+                favouriteCharacter,
+                recentRuns: recentRuns.slice(0, recentLimit)
+            };
+        },
+
+        // The claim on a name (by nameKey) or by a player: { name_key, player_id, name, claimed_at } or null
+        getNameClaim(nameKey) {
+            return readData().claims.find(claim => claim.name_key === nameKey) || null;
+        },
+
+        getPlayerClaim(playerId) {
+            return readData().claims.find(claim => claim.player_id === playerId) || null;
+        },
+
+        // claim is { name_key, player_id, name, claimed_at }. A player has one name at a time,
+        // so this replaces any earlier claim of theirs. Returns false if someone else has it.
+        claimName(claim) {
+            const data = readData();
+            const existing = data.claims.find(other => other.name_key === claim.name_key);
+            if (existing && existing.player_id !== claim.player_id) return false;
+            data.claims = data.claims.filter(other => other.player_id !== claim.player_id).concat(claim);
+            writeData(data);
+            return true;
+        },
+
+        // Returns false if the player hadn't claimed a name
+        releaseName(playerId) {
+            const data = readData();
+            const claims = data.claims.filter(claim => claim.player_id !== playerId);
+            if (claims.length === data.claims.length) return false;
+            data.claims = claims;
+            writeData(data);
+            return true;
+        },
+
+        // The player's achievement progress (see core/achievements.mjs), or null if they have none yet
+        getPlayerProgress(playerId) {
+            const record = readData().progress[playerId];
+            return record ? record.progress : null;
+        },
+
+        savePlayerProgress(playerId, progress, updatedAt) {
+            const data = readData();
+            data.progress[playerId] = { progress, updated_at: updatedAt };
+            writeData(data);
+        },
+
+        // Any entry by id, hidden and held ones included, in admin form; null if there's no such entry
+        findEntry(id) {
+            const entry = readData().entries.find(other => other.id === id);
+            return entry ? toAdminEntry(entry) : null;
+        },
+
+        // Entries waiting for review, oldest first, each with the reason it was held
+        getHeldEntries() {
+            return readData().entries
+                .filter(entry => entry.held)
+                .sort((a, b) => a.id - b.id)
+                .map(toAdminEntry);
+        },
+
+        // Put a held entry on the boards (approved) or delete it. Returns false if
+        // there's no held entry with that id.
+        reviewEntry(id, approved) {
+            const data = readData();
+            const entry = data.entries.find(other => other.id === id && other.held);
+            if (!entry) return false;
+
+            if (approved) {
+                delete entry.held;
+                delete entry.held_reason;
+            } else {
+                data.entries.splice(data.entries.indexOf(entry), 1);
+            }
+            writeData(data);
+            return true;
+        },
+
+        getRankForScore(score, mode = 'classic') {
+            return readData().entries.filter(entry => isRanked(entry) && modeOf(entry) === mode && entry.score > score).length + 1;
+        },
+
+        // Admin listing, newest first, with hidden and held entries and each entry's IP.
+        // search matches part of a name, or an id, IP or player id exactly; status is one of
+        // all, visible, hidden or held.
+        searchEntries({ search = '', status = 'all', limit, offset = 0 }) {
+            const needle = search.toLowerCase();
+            const entries = readData().entries
+                .filter(ADMIN_STATUSES[status])
+                .filter(entry => !search || entry.name.toLowerCase().includes(needle)
+                    || entry.ip === search || entry.player_id === search || String(entry.id) === search)
+                .sort((a, b) => b.id - a.id);
+            return { entries: entries.slice(offset, offset + limit).map(toAdminEntry), total: entries.length };
+        },
+
+        // Take an entry off the boards or put it back; false if there's no such entry
+        setEntryHidden(id, hidden) {
+            return updateEntry(id, entry => {
+                if (hidden) entry.hidden = true;
+                else delete entry.hidden;
+            });
+        },
+
+        // Hide every entry set since an ISO timestamp; returns how many were hidden
+        hideEntriesSince(since) {
+            const data = readData();
+            const hidden = data.entries.filter(entry => !entry.hidden && entry.created_at >= since);
+            if (hidden.length === 0) return 0;
+            hidden.forEach(entry => { entry.hidden = true; });
+            writeData(data);
+            return hidden.length;
+        },
+
+        renameEntry(id, name) {
+            return updateEntry(id, entry => { entry.name = name; });
+        },
+
+        deleteEntry(id) {
+            const data = readData();
+            const index = data.entries.findIndex(entry => entry.id === id);
+            if (index === -1) return false;
+            data.entries.splice(index, 1);
+            writeData(data);
+            return true;
+        },
+
+        // Bans still in force at an ISO timestamp, newest first
+        getBans(now) {
+            return readData().bans
+                .filter(ban => ban.expires_at === null || ban.expires_at > now)
+                .sort((a, b) => b.id - a.id);
+        },
+
+        // ban is { kind: 'name' | 'ip', value, reason, created_at, expires_at } - expires_at
+        // null for a permanent ban. Returns the ban's id.
+        addBan(ban) {
+            const data = readData();
+            const id = data.nextBanId++;
+            data.bans.push({ id, reason: null, expires_at: null, ...ban });
+            writeData(data);
+            return id;
+        },
+
+        removeBan(id) {
+            const data = readData();
+            const index = data.bans.findIndex(ban => ban.id === id);
+            if (index === -1) return false;
+            data.bans.splice(index, 1);
+            writeData(data);
+            return true;
+        },
+
+        pruneUsedRuns(issuedBefore) {
+            const data = readData();
+            const expired = Object.keys(data.usedRuns).filter(id => data.usedRuns[id] < issuedBefore);
+            if (expired.length === 0) return;
+            expired.forEach(id => delete data.usedRuns[id]);
+            writeData(data);
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,120 @@
+// ============================================
+// SQLITE SCHEMA MIGRATIONS
+// ============================================
+// Each entry moves the schema up one version; PRAGMA user_version records how
+// far a database has got. Only ever append - never edit a shipped migration.
+const MIGRATIONS = [
+    // 1: entries and the run tokens they were submitted with
+    `
+    CREATE TABLE entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        level INTEGER NOT NULL,
+        character TEXT NOT NULL,
+        verified INTEGER NOT NULL DEFAULT 0,
+        seed INTEGER,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX entries_by_rank ON entries (score DESC, id);
+    CREATE INDEX entries_by_verified_rank ON entries (verified, score DESC, id);
+
+    CREATE TABLE used_runs (
+        id TEXT PRIMARY KEY,
+        issued_at INTEGER NOT NULL
+    );
+    CREATE INDEX used_runs_by_issued_at ON used_runs (issued_at);
+    `,
+    // 2: today / week / month boards filter on when the score was set
+    `
+    CREATE INDEX entries_by_created_at ON entries (created_at);
+    `,
+    // 3: per-character boards, the furthest-sector board and per-sector best times
+    `
+    ALTER TABLE entries ADD COLUMN won INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX entries_by_character_rank ON entries (character, score DESC, id);
+    CREATE INDEX entries_by_furthest ON entries (won, level DESC, score DESC, id);
+
+    CREATE TABLE entry_sectors (
+        entry_id INTEGER NOT NULL REFERENCES entries (id),
+        sector INTEGER NOT NULL,
+        time_ms INTEGER NOT NULL,
+        PRIMARY KEY (entry_id, sector)
+    );
+    CREATE INDEX entry_sectors_by_time ON entry_sectors (sector, time_ms);
+    `,
+    // 4: full per-sector breakdown, including the sector a run died in
+    `
+    ALTER TABLE entry_sectors ADD COLUMN points INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE entry_sectors ADD COLUMN hits INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE entry_sectors ADD COLUMN hops INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE entry_sectors ADD COLUMN cleared INTEGER NOT NULL DEFAULT 1;
+    `,
+    // 5: idempotency keys, so a retried submission finds the entry it already made
+    `
+    ALTER TABLE entries ADD COLUMN idempotency_key TEXT;
+    CREATE UNIQUE INDEX entries_by_idempotency_key ON entries (idempotency_key);
+    `,
+    // 6: entries whose names are held for review stay off the boards until approved
+    `
+    ALTER TABLE entries ADD COLUMN held INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE entries ADD COLUMN held_reason TEXT;
+    CREATE INDEX entries_by_held ON entries (held) WHERE held = 1;
+    `,
+    // 7: admin tools - hidden entries, the IP each score came from, and bans on names and IPs
+    `
+    ALTER TABLE entries ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE entries ADD COLUMN ip TEXT;
+
+    CREATE TABLE bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        reason TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT
+    );
+    `,
+    // 8: anonymous players - which player each score is from, and the name each has claimed
+    `
+    ALTER TABLE entries ADD COLUMN player_id TEXT;
+    CREATE INDEX entries_by_player ON entries (player_id, created_at);
+
+    CREATE TABLE name_claims (
+        name_key TEXT PRIMARY KEY,
+        player_id TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        claimed_at TEXT NOT NULL
+    );
+    `,
+    // 9: achievement progress each player has earned from verified runs (JSON, see core/achievements.mjs)
+    `
+    CREATE TABLE player_progress (
+        player_id TEXT PRIMARY KEY,
+        progress TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    `,
+    // 10: game modes - abilities runs are ranked apart from classic ones
+    `
+    ALTER TABLE entries ADD COLUMN mode TEXT NOT NULL DEFAULT 'classic';
+    `
+];
+
+// Bring the database up to date; returns the version it started at
+function migrate(db) {
+    const startVersion = db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(startVersion).forEach((sql, index) => {
+        const version = startVersion + index + 1;
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${version}`);
+        })();
+        console.log(`Database migrated to version ${version}`);
+    });
+
+    return startVersion;
+}
+
+module.exports = { migrate };
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { migrate } = require('./migrations');
+
+// ============================================
+// SQLITE STORAGE (Default backend)
+// ============================================
+// Every write runs in a transaction, so a crash can't leave half an entry
+// behind and two submissions can't overwrite each other.
+
+// The idempotency key stays private to the client that submitted the entry, and
+// moderation state, IPs and player ids are only for admins (see toAdminEntry)
+function toEntry({ idempotency_key, held, held_reason, hidden, ip, player_id, ...row }) {
+    return { ...row, verified: row.verified === 1, won: row.won === 1 };
+}
+
+function toAdminEntry(row) {
+    return {
+        ...toEntry(row),
+        hidden: row.hidden === 1,
+        held: row.held === 1,
+        reason: row.held_reason,
+        ip: row.ip,
+        player: row.player_id
+    };
+}
+
+// searchEntries' status filter
+const ADMIN_STATUSES = {
+    all: '1',
+    visible: 'hidden = 0 AND held = 0',
+    hidden: 'hidden = 1',
+    held: 'held = 1'
+};
+
+function entryFilter({ verifiedOnly = true, since = null, character = null, mode = 'classic' }) {
+    return { minVerified: verifiedOnly ? 1 : 0, since: since || '', character, mode };
+}
+
+function createSqliteStorage({ file, importFile }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    const startVersion = migrate(db);
+
+    // Shared by every board: mode, verified-only, time window and character filters.
+    // Entries held for review or hidden by an admin are never on a board.
+    const ENTRY_FILTER = `
+        held = 0 AND hidden = 0 AND mode = :mode AND verified >= :minVerified AND created_at >= :since
+        AND (:character IS NULL OR character = :character)
+    `;
+
+    // score ranks every run; furthest ranks runs that died by the sector they reached
+    function prepareBoard(where, order) {
+        return {
+            page: db.prepare(`
+                SELECT * FROM entries WHERE ${ENTRY_FILTER} ${where}
+                ORDER BY ${order}
+                LIMIT :limit OFFSET :offset
+            `),
+            count: db.prepare(`SELECT COUNT(*) AS total FROM entries WHERE ${ENTRY_FILTER} ${where}`)
+        };
+    }
+    const boards = {
+        score: prepareBoard('', 'score DESC, id'),
+        furthest: prepareBoard('AND won = 0', 'level DESC, score DESC, id')
+    };
+
+    // Admin listings, one pair per status. Search is part of a name, or an exact id, IP or player id.
+    const adminSearches = Object.fromEntries(Object.entries(ADMIN_STATUSES).map(([status, where]) => {
+        const filter = `
+            ${where} AND (:search = '' OR name LIKE :pattern ESCAPE '\\' OR ip = :search
+                OR player_id = :search OR CAST(id AS TEXT) = :search)
+        `;
+        return [status, {
+            page: db.prepare(`SELECT * FROM entries WHERE ${filter} ORDER BY id DESC LIMIT :limit OFFSET :offset`),
+            count: db.prepare(`SELECT COUNT(*) AS total FROM entries WHERE ${filter}`)
+        }];
+    }));
+
+    const statements = {
+        entryById: db.prepare('SELECT * FROM entries WHERE id = ?'),
+        entryByKey: db.prepare('SELECT id, score, mode, held, player_id FROM entries WHERE idempotency_key = ?'),
+        heldEntries: db.prepare('SELECT * FROM entries WHERE held = 1 ORDER BY id'),
+        approveEntry: db.prepare('UPDATE entries SET held = 0, held_reason = NULL WHERE id = ? AND held = 1'),
+        deleteHeldEntry: db.prepare('DELETE FROM entries WHERE id = ? AND held = 1'),
+        deleteSectorStats: db.prepare('DELETE FROM entry_sectors WHERE entry_id = ?'),
+        insertEntry: db.prepare(`
+            INSERT INTO entries (
+                id, name, score, level, character, mode, verified, won, seed, created_at,
+                idempotency_key, held, held_reason, ip, player_id
+            )
+            VALUES (
+                :id, :name, :score, :level, :character, :mode, :verified, :won, :seed, :created_at,
+                :idempotency_key, :held, :held_reason, :ip, :player_id
+            )
+        `),
+        insertSectorStats: db.prepare(`
+            INSERT INTO entry_sectors (entry_id, sector, time_ms, points, hits, hops, cleared)
+            VALUES (:entryId, :sector, :time, :points, :hits, :hops, :cleared)
+        `),
+        entryBreakdown: db.prepare(`
+            SELECT sector, time_ms AS time, points, hits, hops, cleared FROM entry_sectors
+            WHERE entry_id = ? ORDER BY sector
+        `),
+        sectorTimes: db.prepare(`
+            SELECT entries.*, entry_sectors.time_ms AS time
+            FROM entry_sectors JOIN entries ON entries.id = entry_sectors.entry_id
+            WHERE entry_sectors.sector = :sector AND entry_sectors.cleared = 1 AND ${ENTRY_FILTER}
+            ORDER BY entry_sectors.time_ms, entries.id
+            LIMIT :limit OFFSET :offset
+        `),
+        sectorTimeCount: db.prepare(`
+            SELECT COUNT(*) AS total
+            FROM entry_sectors JOIN entries ON entries.id = entry_sectors.entry_id
+            WHERE entry_sectors.sector = :sector AND entry_sectors.cleared = 1 AND ${ENTRY_FILTER}
+        `),
+        // Ranks are on the board for the entry's mode
+        entryRank: db.prepare(`
+            SELECT COUNT(*) + 1 AS rank FROM entries
+            WHERE held = 0 AND hidden = 0 AND verified = 1 AND mode = :mode AND (score > :score OR (score = :score AND id < :id))
+        `),
+        scoreRank: db.prepare('SELECT COUNT(*) + 1 AS rank FROM entries WHERE held = 0 AND hidden = 0 AND verified = 1 AND mode = ? AND score > ?'),
+        setHidden: db.prepare('UPDATE entries SET hidden = :hidden WHERE id = :id'),
+        hideSince: db.prepare('UPDATE entries SET hidden = 1 WHERE hidden = 0 AND created_at >= ?'),
+        rename: db.prepare('UPDATE entries SET name = :name WHERE id = :id'),
+        deleteEntry: db.prepare('DELETE FROM entries WHERE id = ?'),
+        activeBans: db.prepare('SELECT * FROM bans WHERE expires_at IS NULL OR expires_at > ? ORDER BY id DESC'),
+        insertBan: db.prepare(`
+            INSERT INTO bans (kind, value, reason, created_at, expires_at)
+            VALUES (:kind, :value, :reason, :created_at, :expires_at)
+        `),
+        deleteBan: db.prepare('DELETE FROM bans WHERE id = ?'),
+        // Player profiles only count what's on the boards
+        playerRuns: db.prepare(`
+            SELECT * FROM entries WHERE player_id = ? AND held = 0 AND hidden = 0
+            ORDER BY created_at DESC, id DESC LIMIT ?
+        `),
+        playerRunCount: db.prepare('SELECT COUNT(*) AS runs FROM entries WHERE player_id = ? AND held = 0 AND hidden = 0'),
+        playerBests: db.prepare(`
+            SELECT * FROM (
+                SELECT *, ROW_NUMBER() OVER (PARTITION BY mode ORDER BY score DESC, id) AS mode_position
+                FROM entries WHERE player_id = ? AND held = 0 AND hidden = 0
+            ) WHERE mode_position = 1
+        `),
+        playerFavourite: db.prepare(`
+            SELECT character FROM entries WHERE player_id = ? AND held = 0 AND hidden = 0
+            GROUP BY character ORDER BY COUNT(*) DESC, MAX(created_at) DESC LIMIT 1
+        `),
+        claimByKey: db.prepare('SELECT * FROM name_claims WHERE name_key = ?'),
+        claimByPlayer: db.prepare('SELECT * FROM name_claims WHERE player_id = ?'),
+        insertClaim: db.prepare(`
+            INSERT INTO name_claims (name_key, player_id, name, claimed_at)
+            VALUES (:name_key, :player_id, :name, :claimed_at)
+        `),
+        deleteClaim: db.prepare('DELETE FROM name_claims WHERE player_id = ?'),
+        progressByPlayer: db.prepare('SELECT progress FROM player_progress WHERE player_id = ?'),
+        saveProgress: db.prepare(`
+            INSERT INTO player_progress (player_id, progress, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (player_id) DO UPDATE SET progress = excluded.progress, updated_at = excluded.updated_at
+        `),
+        runUsed: db.prepare('SELECT 1 FROM used_runs WHERE id = ?'),
+        useRun: db.prepare('INSERT INTO used_runs (id, issued_at) VALUES (?, ?)'),
+        pruneRuns: db.prepare('DELETE FROM used_runs WHERE issued_at < ?')
+    };
+
+    function insertEntry(entry) {
+        const info = statements.insertEntry.run({
+            id: entry.id ?? null,
+            name: entry.name,
+            score: entry.score,
+            level: entry.level,
+            character: entry.character,
+            mode: entry.mode || 'classic',
+            verified: entry.verified ? 1 : 0,
+            won: entry.won ? 1 : 0,
+            seed: entry.seed ?? null,
+            created_at: entry.created_at,
+            idempotency_key: entry.idempotency_key ?? null,
+            held: entry.held ? 1 : 0,
+            held_reason: entry.held_reason ?? null,
+            ip: entry.ip ?? null,
+            player_id: entry.player_id ?? null
+        });
+        const id = Number(info.lastInsertRowid);
+        (entry.breakdown || []).forEach(stats => {
+            statements.insertSectorStats.run({ entryId: id, ...stats, cleared: stats.cleared ? 1 : 0 });
+        });
+        return id;
+    }
+
+    // A brand new database picks up the old leaderboard.json if there is one
+    if (startVersion === 0 && importFile && fs.existsSync(importFile)) {
+        const data = JSON.parse(fs.readFileSync(importFile, 'utf8'));
+        db.transaction(() => {
+            data.entries.forEach(insertEntry);
+            Object.entries(data.usedRuns || {}).forEach(([id, issuedAt]) => statements.useRun.run(id, issuedAt));
+        })();
+        console.log(`Imported ${data.entries.length} entries from ${importFile}`);
+    }
+
+    // One page of a board ('score' or 'furthest') in rank order; each entry carries its rank.
+    // since (an ISO timestamp) limits the board to scores set from then on, and mode
+    // ('classic' unless given) picks the game mode's board. Runs without a verified replay
+    // are left out unless verifiedOnly is false.
+    function getEntries({ limit, offset = 0, board = 'score', ...options }) {
+        const filter = entryFilter(options);
+        const entries = boards[board].page
+            .all({ ...filter, limit, offset })
+            .map((row, index) => ({ ...toEntry(row), rank: offset + index + 1 }));
+        return { entries, total: boards[board].count.get(filter).total };
+    }
+
+    return {
+        getEntries,
+
+        // The entry plus up to `span` entries either side of it, or null if there's no such entry
+        getEntriesAround(id, span) {
+            const entry = statements.entryById.get(id);
+            if (!entry || entry.held || entry.hidden || !entry.verified) return null;
+
+            const { rank } = statements.entryRank.get({ score: entry.score, mode: entry.mode, id });
+            const offset = Math.max(0, rank - 1 - span);
+            return { rank, entries: getEntries({ limit: rank - offset + span, offset, mode: entry.mode }).entries };
+        },
+
+        // A single entry with its rank and per-sector breakdown, or null if there's no such entry
+        getEntry(id) {
+            const entry = statements.entryById.get(id);
+            if (!entry || entry.held || entry.hidden) return null;
+
+            const { rank } = statements.entryRank.get({ score: entry.score, mode: entry.mode, id });
+            const breakdown = statements.entryBreakdown.all(id)
+                .map(stats => ({ ...stats, cleared: stats.cleared === 1 }));
+            return { ...toEntry(entry), rank, breakdown };
+        },
+
+        // One page of the quickest clears of a sector; each entry carries its rank and time (ms)
+        getSectorTimes({ sector, limit, offset = 0, ...options }) {
+            const filter = { ...entryFilter(options), sector };
+            const entries = statements.sectorTimes
+                .all({ ...filter, limit, offset })
+                .map((row, index) => ({ ...toEntry(row), rank: offset + index + 1 }));
+            return { entries, total: statements.sectorTimeCount.get(filter).total };
+        },
+
+        // Insert an entry for a run token that hasn't been used yet. Returns { id, rank },
+        // or null if the run already has a score. A held entry gets the rank it'll have once approved.
+        recordScore(entry, run) {
+            return db.transaction(() => {
+                if (statements.runUsed.get(run.id)) return null;
+                statements.useRun.run(run.id, run.issuedAt);
+
+                const id = insertEntry(entry);
+                const { rank } = statements.entryRank.get({ score: entry.score, mode: entry.mode || 'classic', id });
+                return { id, rank };
+            })();
+        },
+
+        // { id, rank, held, playerId } of the entry a submission with this idempotency key made, or null
+        findSubmission(key) {
+            const entry = statements.entryByKey.get(key);
+            if (!entry) return null;
+            const { rank } = statements.entryRank.get({ score: entry.score, mode: entry.mode, id: entry.id });
+            return { id: entry.id, rank, held: entry.held === 1, playerId: entry.player_id };
+        },
+
+        // { runs, personalBests, favouriteCharacter, recentRuns } for a player's scores on the
+        // boards - personalBests maps each mode they've played to their best entry there, with
+        // its rank on that mode's board; recentRuns is empty if there are none
+        getPlayerProfile(playerId, recentLimit) {
+            const personalBests = {};
+            statements.playerBests.all(playerId).forEach(({ mode_position, ...best }) => {
+                personalBests[best.mode] = { ...toEntry(best), rank: statements.entryRank.get({ score: best.score, mode: best.mode, id: best.id }).rank };
+            });
+            const favourite = statements.playerFavourite.get(playerId);
+            return {
+                runs: statements.playerRunCount.get(playerId).runs,
+                personalBests,
+                favouriteCharacter: favourite ? favourite.character : null,
+                recentRuns: statements.playerRuns.all(playerId, recentLimit).map(toEntry)
+            };
+        },
+
+        // The claim on a name (by nameKey) or by a player: { name_key, player_id, name, claimed_at } or null
+        getNameClaim(nameKey) {
+            return statements.claimByKey.get(nameKey) || null;
+        },
+
+        getPlayerClaim(playerId) {
+            return statements.claimByPlayer.get(playerId) || null;
+        },
+
+        // claim is { name_key, player_id, name, claimed_at }. A player has one name at a time,
+        // so this replaces any earlier claim of theirs. Returns false if someone else has it.
+        claimName(claim) {
+            return db.transaction(() => {
+                const existing = statements.claimByKey.get(claim.name_key);
+                if (existing && existing.player_id !== claim.player_id) return false;
+                statements.deleteClaim.run(claim.player_id);
+                statements.insertClaim.run(claim);
+                return true;
+            })();
+        },
+
+        // Returns false if the player hadn't claimed a name
+        releaseName(playerId) {
+            return statements.deleteClaim.run(playerId).changes === 1;
+        },
+
+        // The player's achievement progress (see core/achievements.mjs), or null if they have none yet
+        getPlayerProgress(playerId) {
+            const row = statements.progressByPlayer.get(playerId);
+            return row ? JSON.parse(row.progress) : null;
+        },
+
+        savePlayerProgress(playerId, progress, updatedAt) {
+            statements.saveProgress.run(playerId, JSON.stringify(progress), updatedAt);
+        },
+
+        // Any entry by id, hidden and held ones included, in admin form; null if there's no such entry
+        findEntry(id) {
+            const entry = statements.entryById.get(id);
+            return entry ? toAdminEntry(entry) : null;
+        },
+
+        // Entries waiting for review, oldest first, each with the reason it was held
+        getHeldEntries() {
+            return statements.heldEntries.all().map(toAdminEntry);
+        },
+
+        // Put a held entry on the boards (approved) or delete it. Returns false if
+        // there's no held entry with that id.
+        reviewEntry(id, approved) {
+            if (approved) return statements.approveEntry.run(id).changes === 1;
+            return db.transaction(() => {
+                const deleted = statements.deleteHeldEntry.run(id).changes === 1;
+                if (deleted) statements.deleteSectorStats.run(id);
+                return deleted;
+            })();
+        },
+
+        getRankForScore(score, mode = 'classic') {
+            return statements.scoreRank.get(mode, score).rank;
+        },
+
+        // Admin listing, newest first, with hidden and held entries and each entry's IP.
+        // search matches part of a name, or an id or IP exactly; status is one of
+        // all, visible, hidden or held.
+        searchEntries({ search = '', status = 'all', limit, offset = 0 }) {
+            const params = { search, pattern: `%${search.replace(/[\\%_]/g, '\\$&')}%` };
+            const entries = adminSearches[status].page.all({ ...params, limit, offset }).map(toAdminEntry);
+            return { entries, total: adminSearches[status].count.get(params).total };
+        },
+
+        // Take an entry off the boards or put it back; false if there's no such entry
+        setEntryHidden(id, hidden) {
+            return statements.setHidden.run({ id, hidden: hidden ? 1 : 0 }).changes === 1;
+        },
+
+        // Hide every entry set since an ISO timestamp; returns how many were hidden
+        hideEntriesSince(since) {
+            return statements.hideSince.run(since).changes;
+        },
+
+        renameEntry(id, name) {
+            return statements.rename.run({ id, name }).changes === 1;
+        },
+
+        deleteEntry(id) {
+            return db.transaction(() => {
+                statements.deleteSectorStats.run(id);
+                return statements.deleteEntry.run(id).changes === 1;
+            })();
+        },
+
+        // Bans still in force at an ISO timestamp, newest first
+        getBans(now) {
+            return statements.activeBans.all(now);
+        },
+
+        // ban is { kind: 'name' | 'ip', value, reason, created_at, expires_at } - expires_at
+        // null for a permanent ban. Returns the ban's id.
+        addBan(ban) {
+            return Number(statements.insertBan.run({ reason: null, expires_at: null, ...ban }).lastInsertRowid);
+        },
+
+        removeBan(id) {
+            return statements.deleteBan.run(id).changes === 1;
+        },
+
+        pruneUsedRuns(issuedBefore) {
+            statements.pruneRuns.run(issuedBefore);
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
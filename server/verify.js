@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// RUN VERIFICATION (Re-simulate submitted replays)
+// ============================================
+// The game rules live in core/*.mjs and are shared with the browser, so the
+// server can play a submitted replay back and see the score for itself.
+const SECTORS_DIR = path.join(__dirname, '..', 'sectors');
+const MAX_REPLAY_MINUTES = 30; // Longer than any real run - caps the work one request can cause
+
+async function loadVerifier() {
+    const core = await import('../core/index.mjs');
+    const sectors = await core.loadSectors(file =>
+        JSON.parse(fs.readFileSync(path.join(SECTORS_DIR, file), 'utf8')));
+    const maxTicks = MAX_REPLAY_MINUTES * 60 * core.CONFIG.SIMULATION.TICK_RATE;
+    const { START_LIVES } = core.CONFIG.PLAYER;
+    const { MAX_LEVEL_SCORE } = core.CONFIG.SCORING;
+
+    console.log(`Run verification ready (${sectors.length} sectors)`);
+
+    // Fewest hops that could reach this sector - one per collectible in each sector cleared.
+    // A slide is one hop, and it only picks up the collectible it lands on.
+    function minimumHops(level) {
+        return sectors.slice(0, level - 1).reduce((hops, sector) => hops + sector.collectibles.count, 0);
+    }
+
+    // A client-reported breakdown: one record per sector played, every one cleared but the
+    // last (that too, for a win). Cleared sectors can't beat hopping onto every collectible
+    // (hopDuration ms a hop) and the points have to add up to the score.
+    function checkBreakdown(breakdown, level, score, hopDuration) {
+        if (!Array.isArray(breakdown) || breakdown.length !== level) return false;
+        const won = breakdown[level - 1]?.cleared === true;
+        if (won && level !== sectors.length) return false;
+
+        const counts = ['time', 'points', 'hits', 'hops'];
+        const valid = breakdown.every((stats, index) => {
+            const cleared = index < level - 1 || won;
+            const minHops = cleared ? sectors[index].collectibles.count : 0;
+            if (!stats || stats.sector !== index + 1 || stats.cleared !== cleared) return false;
+            if (!counts.every(field => Number.isInteger(stats[field]) && stats[field] >= 0)) return false;
+            if (stats.hops < minHops || stats.time < minHops * hopDuration) return false;
+            return cleared
+                ? stats.points >= 1 && stats.points <= MAX_LEVEL_SCORE && stats.hits < START_LIVES
+                : stats.points === 0 && stats.hits === START_LIVES;
+        });
+        return valid && breakdown.reduce((total, stats) => total + stats.points, 0) === score;
+    }
+
+    // Returns { ok: true, verified, won, breakdown, minDuration } if the submission holds up, otherwise
+    // { ok: false, error, mismatch? }. minDuration is the shortest wall-clock time (ms) the run could have taken.
+    // A verified run also has progress: the player's achievement progress (a copy of the one passed
+    // in, or a fresh one) with this run counted, and unlocked: the achievement ids it earned.
+    // mode is the one the score was submitted for - a replay from before modes is classic.
+    return function verifyRun({ replay, score, level, character, mode, breakdown, progress = null }) {
+        const hopDuration = core.getHopDuration(character, mode);
+
+        // Without a replay all we can check is that the claimed sectors were clearable in time.
+        // The breakdown is optional here; a run without one just isn't on the sector boards.
+        if (replay === undefined) {
+            if (breakdown !== undefined && !checkBreakdown(breakdown, level, score, hopDuration)) {
+                return { ok: false, error: 'Invalid sector breakdown' };
+            }
+            const sectorStats = (breakdown || []).map(({ sector, time, points, hits, hops, cleared }) =>
+                ({ sector, time, points, hits, hops, cleared }));
+            const timeTotal = sectorStats.reduce((total, stats) => total + stats.time, 0);
+            return {
+                ok: true,
+                verified: false,
+                won: sectorStats.length === sectors.length && sectorStats[sectors.length - 1].cleared,
+                breakdown: sectorStats,
+                minDuration: Math.max(minimumHops(level) * hopDuration, timeTotal)
+            };
+        }
+
+        try {
+            core.validateReplay(replay);
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+        if (replay.ticks > maxTicks) {
+            return { ok: false, error: 'Replay is too long' };
+        }
+        if (replay.character !== character) {
+            return { ok: false, error: 'Character does not match replay' };
+        }
+        if ((replay.mode || 'classic') !== mode) {
+            return { ok: false, error: 'Mode does not match replay' };
+        }
+
+        const runner = core.createReplayRunner(replay, sectors);
+        const run = runner.run;
+        const runProgress = progress ? structuredClone(progress) : core.createAchievementProgress();
+        const unlocked = [];
+        let hops = 0;
+        while (!runner.isFinished()) {
+            runner.step();
+            core.drainEvents(run).forEach(event => {
+                if (event.type === 'hop') hops++;
+                unlocked.push(...core.trackAchievementEvent(runProgress, run, event));
+            });
+        }
+
+        // A replay that played out differently here may be an honest run the engines disagree
+        // on rather than a cheat, so these say mismatch: true and don't count towards a ban
+        if (run.phase !== 'game_over' && run.phase !== 'won') {
+            return { ok: false, error: 'Replay does not finish the run', mismatch: true };
+        }
+        if (run.totalScore !== score || run.currentLevel !== level) {
+            return { ok: false, error: 'Score does not match replay', mismatch: true };
+        }
+        return {
+            ok: true,
+            verified: true,
+            won: run.phase === 'won',
+            breakdown: run.breakdown,
+            minDuration: Math.max(run.time, hops * hopDuration),
+            progress: runProgress,
+            unlocked
+        };
+    };
+}
+
+module.exports = { loadVerifier };
@@ -0,0 +1,66 @@
+// ============================================
+// LEADERBOARD WINDOWS (Today / week / month / all time)
+// ============================================
+// Windows start at local midnight in the venue's timezone (LEADERBOARD_TIMEZONE),
+// not the server's, so "today" rolls over when the venue's day does.
+const LEADERBOARD_WINDOWS = ['today', 'week', 'month', 'all'];
+
+// Throws a RangeError if the timezone isn't one Intl knows about
+function checkTimeZone(timeZone) {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+}
+
+// Calendar date and weekday (0 = Monday) at an instant, as seen in timeZone
+function localDate(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'short'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday)
+    };
+}
+
+// How far timeZone is ahead of UTC at an instant, in ms
+function timeZoneOffset(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = Number(part.value); });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant local midnight starts on a calendar date in timeZone
+function localMidnight(year, month, day, timeZone) {
+    const midnightUtc = Date.UTC(year, month - 1, day);
+    // Check the offset again at the first guess in case a DST change falls in between
+    const guess = midnightUtc - timeZoneOffset(midnightUtc, timeZone);
+    return midnightUtc - timeZoneOffset(guess, timeZone);
+}
+
+// ISO timestamp the window starts at, or null for all time. Weeks start on Monday.
+function windowStart(window, timeZone, now = Date.now()) {
+    const today = localDate(now, timeZone);
+
+    switch (window) {
+        case 'today':
+            return new Date(localMidnight(today.year, today.month, today.day, timeZone)).toISOString();
+        case 'week':
+            // Date.UTC rolls day 0 and negative days back into the previous month
+            return new Date(localMidnight(today.year, today.month, today.day - today.weekday, timeZone)).toISOString();
+        case 'month':
+            return new Date(localMidnight(today.year, today.month, 1, timeZone)).toISOString();
+        default:
+            return null;
+    }
+}
+
+module.exports = { LEADERBOARD_WINDOWS, checkTimeZone, windowStart };
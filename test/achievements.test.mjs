@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as core from '../core/index.mjs';
+import { loadTestSectors } from './helpers.mjs';
+
+const sectors = await loadTestSectors();
+const heartbeat = sectors.findIndex(sector => sector.name === 'Heartbeat') + 1;
+const overdrive = sectors.findIndex(sector => sector.name === 'Overdrive') + 1;
+
+// What clearing sector `level` after `time` ms earns, taking a hit so Untouchable stays out of it
+function clearSector({ level, time, character = 'chicken', mode = 'classic', runSectors = sectors }) {
+    const breakdown = runSectors.slice(0, level).map((sector, index) => ({ sector: index + 1, hits: 1, time }));
+    const run = { character, mode, sectors: runSectors, breakdown };
+    return core.trackAchievementEvent(core.createAchievementProgress(), run, { type: 'sector_clear', level, time });
+}
+
+test('Steady Pulse is for clearing Heartbeat inside the grace period', () => {
+    assert.deepEqual(clearSector({ level: heartbeat, time: core.CONFIG.SCORING.GRACE_PERIOD }), ['steady_pulse']);
+    assert.deepEqual(clearSector({ level: heartbeat, time: core.CONFIG.SCORING.GRACE_PERIOD + 1 }), []);
+});
+
+test('Steady Pulse is not for other sectors with a pulsing floor', () => {
+    assert.deepEqual(clearSector({ level: overdrive, time: 500 }), []);
+});
+
+test('Steady Pulse follows Heartbeat when the sectors are reordered', () => {
+    const reordered = [sectors[heartbeat - 1], ...sectors.filter((sector, index) => index !== heartbeat - 1)];
+    assert.deepEqual(clearSector({ level: 1, time: 500, runSectors: reordered }), ['steady_pulse']);
+});
+
+test("Steady Pulse allows for the Delorean's longer grace period in abilities mode", () => {
+    assert.deepEqual(clearSector({ level: heartbeat, time: 12000, character: 'delorean', mode: 'abilities' }), ['steady_pulse']);
+    assert.deepEqual(clearSector({ level: heartbeat, time: 12000, character: 'delorean', mode: 'classic' }), []);
+});
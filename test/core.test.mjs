@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as core from '../core/index.mjs';
+import { loadTestSectors, playBotRun, runSnapshot } from './helpers.mjs';
+
+const sectors = await loadTestSectors();
+
+test('the same seed and inputs play out the same run', () => {
+    const first = playBotRun(sectors, { seed: 12345 });
+    const second = playBotRun(sectors, { seed: 12345 });
+    assert.deepEqual(runSnapshot(second.run), runSnapshot(first.run));
+    assert.deepEqual(second.replay, first.replay);
+});
+
+test('every sector lays out and moves its lava the same way twice', () => {
+    const play = () => sectors.map((sector, index) => {
+        const run = core.createRun({ sectors, seed: 99 });
+        run.currentLevel = index + 1;
+        core.beginSector(run);
+        const frames = [];
+        for (let tick = 0; tick < 600; tick++) {
+            core.stepRun(run, []);
+            run.phase = 'playing'; // Keep the lava going after the player's hit
+            if (tick % 50 === 0) frames.push(runSnapshot(run).lavaTiles);
+        }
+        return frames;
+    });
+    assert.deepEqual(play(), play());
+});
+
+test('a replay plays back to the run it recorded', () => {
+    const { run, replay } = playBotRun(sectors, { seed: 2024, character: 'turtle' });
+    const replayed = core.simulateReplay(replay, sectors);
+    assert.deepEqual(runSnapshot(replayed), runSnapshot(run));
+});
+
+test('validateSector fills in defaults for a minimal sector', () => {
+    const sector = core.validateSector({ collectibles: { count: 3 } }, 'minimal.json');
+    assert.equal(sector.name, 'minimal.json');
+    assert.deepEqual(sector.start, core.CONFIG.PLAYER.START_POSITION);
+    assert.deepEqual(sector.lavaPatterns, []);
+});
+
+test('validateSector rejects malformed sectors', () => {
+    const valid = { collectibles: { count: 3 } };
+    const cases = {
+        'no collectibles': {},
+        'zero collectibles': { collectibles: { count: 0 } },
+        'fractional collectibles': { collectibles: { count: 2.5 } },
+        'unknown safe island type': { ...valid, safeIslands: [{ type: 'moat' }] },
+        'scattered islands without a count': { ...valid, safeIslands: [{ type: 'scattered' }] },
+        'tiles islands without tiles': { ...valid, safeIslands: [{ type: 'tiles' }] },
+        'unknown lava pattern': { ...valid, lavaPatterns: [{ type: 'volcano' }] },
+        'pattern missing a parameter': { ...valid, lavaPatterns: [{ type: 'horizontal', width: 3, direction: 1, speed: 1 }] },
+        'start off the grid': { ...valid, start: { x: -1, z: 0 } },
+        'start between tiles': { ...valid, start: { x: 4.5, z: 10 } },
+        'start missing a coordinate': { ...valid, start: { x: 4 } },
+        'fractional collectible rows': { collectibles: { count: 3, minRow: 0.5 } }
+    };
+    Object.entries(cases).forEach(([name, definition]) => {
+        assert.throws(() => core.validateSector(definition, 'bad.json'), /Invalid sector bad\.json/, name);
+    });
+});
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as core from '../core/index.mjs';
+
+// ============================================
+// TEST HELPERS
+// ============================================
+const SECTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'sectors');
+
+export function loadTestSectors() {
+    return core.loadSectors(file => JSON.parse(fs.readFileSync(path.join(SECTORS_DIR, file), 'utf8')));
+}
+
+// Plays a run the way a clumsy player would: heads straight for the first collectible
+// in sector 1, then hops about at random until the lava gets them. Returns the run and
+// its replay. Its own rng keeps the moves the same for the same seed.
+export function playBotRun(sectors, { seed, character = 'chicken', mode = 'classic', maxTicks = 20 * 60 * 60 }) {
+    const rng = core.createRng(seed);
+    const run = core.createRun({ sectors, seed, character, mode });
+    const replay = core.createReplay(run);
+    core.beginSector(run);
+
+    while (run.phase !== 'game_over' && run.phase !== 'won' && run.tick < maxTicks) {
+        if (run.phase === 'sector_clear') {
+            core.advanceSector(run);
+            core.beginSector(run);
+        }
+        const inputs = run.isHopping ? [] : [botMove(run, rng)];
+        inputs.forEach(input => core.recordInput(replay, run.tick, input));
+        core.stepRun(run, inputs);
+        core.drainEvents(run);
+    }
+
+    core.finishReplay(replay, run);
+    return { run, replay };
+}
+
+function botMove(run, rng) {
+    const { x, z } = run.playerPosition;
+    if (run.currentLevel === 1 && run.collectibleTiles.size > 0) {
+        const [targetX, targetZ] = [...run.collectibleTiles][0].split(',').map(Number);
+        return targetX !== x
+            ? { type: 'move', dx: Math.sign(targetX - x), dz: 0 }
+            : { type: 'move', dx: 0, dz: Math.sign(targetZ - z) };
+    }
+    const [dx, dz] = [[0, -1], [0, 1], [1, 0], [-1, 0]][Math.floor(rng() * 4)];
+    return { type: 'move', dx, dz };
+}
+
+// The parts of a run that say where it's got to - Sets as sorted arrays so they compare
+export function runSnapshot(run) {
+    return {
+        phase: run.phase,
+        tick: run.tick,
+        currentLevel: run.currentLevel,
+        totalScore: run.totalScore,
+        livesRemaining: run.livesRemaining,
+        playerPosition: run.playerPosition,
+        lavaTiles: [...run.lavaTiles].sort(),
+        collectibleTiles: [...run.collectibleTiles].sort(),
+        safeIslands: [...run.safeIslands].sort(),
+        breakdown: run.breakdown
+    };
+}
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSubmissionLimits } from '../server/limits.js';
+
+const now = Date.parse('2026-01-01T00:00:00Z');
+
+test('claiming a name does not spend the IP\'s score submissions', () => {
+    const limits = createSubmissionLimits({ perIp: 1, perName: 5, banAfter: 10, banMinutes: 15 });
+    assert.equal(limits.checkClaim('1.2.3.4', 'player', now), null);
+    assert.equal(limits.checkClient('1.2.3.4', now), null);
+    assert.equal(limits.checkClient('1.2.3.4', now).code, 'rate_limited');
+});
+
+test('name claims have a bucket of their own per player', () => {
+    const limits = createSubmissionLimits({ perIp: 10, perName: 5, banAfter: 10, banMinutes: 15 });
+    for (let i = 0; i < 5; i++) assert.equal(limits.checkClaim('1.2.3.4', 'player', now), null);
+    const limited = limits.checkClaim('1.2.3.4', 'player', now);
+    assert.equal(limited.code, 'rate_limited');
+    assert.match(limited.error, /name changes/);
+    assert.equal(limits.checkClaim('1.2.3.4', 'someone else', now), null);
+    assert.equal(limits.checkClient('1.2.3.4', now), null);
+});
+
+test('a banned IP can neither submit nor claim', () => {
+    const limits = createSubmissionLimits({ perIp: 10, perName: 5, banAfter: 2, banMinutes: 15 });
+    limits.recordInvalid('1.2.3.4', now);
+    limits.recordInvalid('1.2.3.4', now);
+    assert.equal(limits.checkClient('1.2.3.4', now).code, 'banned');
+    assert.equal(limits.checkClaim('1.2.3.4', 'player', now).code, 'banned');
+    assert.equal(limits.checkClaim('1.2.3.4', 'player', now + 16 * 60 * 1000), null);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadVerifier } from '../server/verify.js';
+import { loadTestSectors, playBotRun } from './helpers.mjs';
+
+const verifyRun = await loadVerifier();
+const sectors = await loadTestSectors();
+const { run, replay } = playBotRun(sectors, { seed: 4242 });
+const submission = { replay, score: run.totalScore, level: run.currentLevel, character: 'chicken', mode: 'classic' };
+
+test('a recorded replay verifies', () => {
+    const result = verifyRun(submission);
+    assert.equal(result.ok, true);
+    assert.equal(result.verified, true);
+    assert.equal(result.won, false);
+    assert.deepEqual(result.breakdown, run.breakdown);
+    assert.ok(result.minDuration >= run.time);
+});
+
+test('a score the replay does not reach fails', () => {
+    const result = verifyRun({ ...submission, score: submission.score + 1 });
+    assert.deepEqual(result, { ok: false, error: 'Score does not match replay', mismatch: true });
+});
+
+test('a level the replay does not reach fails', () => {
+    const result = verifyRun({ ...submission, level: submission.level + 1 });
+    assert.equal(result.ok, false);
+});
+
+test('a tampered replay fails', () => {
+    const cases = {
+        'inputs dropped': { ...replay, inputs: replay.inputs.slice(0, 10) },
+        'cut short': { ...replay, ticks: Math.floor(replay.ticks / 2) },
+        'different seed': { ...replay, seed: replay.seed + 1 },
+        'unknown input': { ...replay, inputs: [[0, 'teleport']] },
+        'wrong version': { ...replay, version: 999 }
+    };
+    Object.entries(cases).forEach(([name, tampered]) => {
+        assert.equal(verifyRun({ ...submission, replay: tampered }).ok, false, name);
+    });
+});
+
+test('a replay for another character or mode fails', () => {
+    assert.equal(verifyRun({ ...submission, character: 'turtle' }).error, 'Character does not match replay');
+    assert.equal(verifyRun({ ...submission, mode: 'abilities' }).error, 'Mode does not match replay');
+});